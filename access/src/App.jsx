@@ -4,13 +4,31 @@ import AccessibilityForm from './components/AccessibilityForm';
 import ResultsDashboard from './components/ResultsDashboard';
 import ThemeToggle from './components/ThemeToggle';
 import ChatBot from './components/ChatBot';
+import ScanProgress from './components/ScanProgress';
+import PaletteContrast from './components/PaletteContrast';
 import React, { useState, useEffect, useCallback } from 'react';
 import { Toaster, toast } from 'sonner';
 
+const SCAN_TIMEOUT = 5 * 60 * 1000; // Matches the server's SCAN_JOB_TIMEOUT; jobs also report their own timeout
+const SCAN_TIMEOUT_MARGIN = 30 * 1000; // Lets the server report its own timeout first
+const JOB_POLL_INTERVAL = 2000;
+
+// Apply one progress event from the scan job event stream to the stage list
+function applyProgressEvent(stages, event) {
+  if (event.type === 'plan') return event.stages;
+  if (event.type !== 'stage') return stages;
+  return stages.map(stage =>
+    stage.stage === event.stage
+      ? { ...stage, status: event.status, message: event.message }
+      : stage
+  );
+}
 
 function App() {
   const [scanResult, setScanResult] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [scanStatus, setScanStatus] = useState(null);
+  const [scanProgress, setScanProgress] = useState([]);
   const [loadingSharedReport, setLoadingSharedReport] = useState(false);
   const [history, setHistory] = useState(() => {
     try {
@@ -93,7 +111,10 @@ function App() {
     saveHistoryToStorage(history);
   }, [history, saveHistoryToStorage]);
 
-  const handleScan = async (url, audits = ['accessibility'], brandColors = []) => {
+  // options carries extra request fields such as axeConfig, viewports, mediaVariants, dynamicActions
+  // and targetSizeLevel.
+  // With options.content (uploaded HTML or files) url is only a label like upload://index.html.
+  const handleScan = async (url, audits = ['accessibility'], brandColors = [], options = {}) => {
     if (!url?.trim()) {
       toast.error('Please enter a valid URL');
       return;
@@ -105,32 +126,83 @@ function App() {
 
     setLoading(true);
     setScanResult(null);
+    setScanProgress([]);
+    
+    let progressEvents = null;
+    let stages = [];
     
     try {
-      const body = { url: url.trim(), audits };
+      const body = options.content ? { content: options.content, audits } : { url: url.trim(), audits };
       if (brandColors && brandColors.length > 0) body.brandColors = brandColors;
+      if (audits.includes('accessibility') && options.axeConfig) body.axeConfig = options.axeConfig;
+      if (options.viewports) body.viewports = options.viewports;
+      if (options.mediaVariants?.length > 0) body.mediaVariants = options.mediaVariants;
+      if (audits.includes('dynamic-content') && options.dynamicActions?.length > 0) body.dynamicActions = options.dynamicActions;
+      if (audits.includes('target-size') && options.targetSizeLevel) body.targetSizeLevel = options.targetSizeLevel;
       
       if (import.meta.env.DEV) {
-        console.log('Making API call to:', `${API_URL}/api/scan`);
+        console.log('Making API call to:', `${API_URL}/api/scan/jobs`);
         console.log('Request body:', body);
       }
       
       const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 60000); // 60 second timeout
+      let timeoutId = setTimeout(() => controller.abort(), SCAN_TIMEOUT + SCAN_TIMEOUT_MARGIN);
+      let timerRestarted = false;
       
-      const res = await fetch(`${API_URL}/api/scan`, {
+      // Submit the scan as a background job, then poll until it finishes
+      const jobRes = await fetch(`${API_URL}/api/scan/jobs`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(body),
         signal: controller.signal
       });
       
-      clearTimeout(timeoutId);
+      if (!jobRes.ok) {
+        const jobError = await jobRes.json().catch(() => ({}));
+        throw new Error(jobError.error || `Server error: ${jobRes.status} ${jobRes.statusText}`);
+      }
       
-      if (!res.ok) {
-        throw new Error(`Server error: ${res.status} ${res.statusText}`);
+      let job = await jobRes.json();
+      setScanStatus(job);
+      
+      // Live stage updates; polling below still decides when the job is finished
+      const handleProgressEvent = (e) => {
+        stages = applyProgressEvent(stages, JSON.parse(e.data));
+        setScanProgress(stages);
+      };
+      progressEvents = new EventSource(`${API_URL}/api/scan/jobs/${job.id}/events`);
+      progressEvents.addEventListener('plan', handleProgressEvent);
+      progressEvents.addEventListener('stage', handleProgressEvent);
+      progressEvents.addEventListener('end', () => progressEvents.close());
+      
+      while (job.status === 'queued' || job.status === 'running') {
+        await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL));
+        
+        const statusRes = await fetch(`${API_URL}/api/scan/jobs/${job.id}`, {
+          signal: controller.signal
+        });
+        
+        if (!statusRes.ok) {
+          throw new Error(`Server error: ${statusRes.status} ${statusRes.statusText}`);
+        }
+        
+        job = await statusRes.json();
+        setScanStatus(job);
+        
+        // Time spent in the queue doesn't count; give the running scan its full lifetime
+        if (job.status === 'running' && !timerRestarted) {
+          timerRestarted = true;
+          clearTimeout(timeoutId);
+          timeoutId = setTimeout(() => controller.abort(), (job.timeout ?? SCAN_TIMEOUT) + SCAN_TIMEOUT_MARGIN);
+        }
       }
       
+      const res = await fetch(`${API_URL}/api/scan/jobs/${job.id}/result`, {
+        signal: controller.signal
+      });
+      
+      clearTimeout(timeoutId);
+      
       // Check if response is actually JSON
       const contentType = res.headers.get('content-type');
       
@@ -146,6 +218,10 @@ function App() {
         throw new Error(data.error);
       }
       
+      if (!res.ok) {
+        throw new Error(`Server error: ${res.status} ${res.statusText}`);
+      }
+      
       const resultObj = { url: url.trim(), ...data, date: new Date().toISOString() };
       
       // Get AI improvement suggestions
@@ -189,10 +265,12 @@ function App() {
         errorMessage = error.message;
       }
       
-      setScanResult({ error: errorMessage });
+      setScanResult({ error: errorMessage, stages });
       toast.error(errorMessage);
     } finally {
+      progressEvents?.close();
       setLoading(false);
+      setScanStatus(null);
     }
   };
 
@@ -236,6 +314,19 @@ function App() {
           Accessibility Analyzer
         </h1>
         <AccessibilityForm onScan={handleScan} loading={loading} />
+        <PaletteContrast />
+        {loading && scanStatus && (
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-4" role="status" aria-live="polite">
+            {scanStatus.status === 'queued'
+              ? `Waiting for a free scanner (position ${scanStatus.queuePosition || 1} in queue)...`
+              : 'Scanning website...'}
+          </p>
+        )}
+        {loading && scanProgress.length > 0 && (
+          <div className="w-full max-w-2xl">
+            <ScanProgress stages={scanProgress} title="Scan Progress" />
+          </div>
+        )}
         {scanResult && <ResultsDashboard result={scanResult} />}
       </section>
       <ChatBot 
@@ -8,14 +8,47 @@ import {
   Award,
   Trophy,
   Medal,
+  Upload,
 } from "lucide-react";
 import AuditOptions from "./AuditOptions";
 
+const sourceModes = [
+  { id: "url", label: "Website URL" },
+  { id: "html", label: "Paste HTML" },
+  { id: "files", label: "Upload files" },
+];
+
+// The server's JSON body limit is 10MB, and base64 grows files by a third
+const MAX_UPLOAD_BYTES = 7 * 1024 * 1024;
+
+// Read a File as base64 without the data: URL prefix
+const readFileAsBase64 = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.split(",")[1] || "");
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
 export default function AccessibilityForm({ onScan, loading }) {
+  const [source, setSource] = useState("url");
   const [url, setUrl] = useState("");
+  const [html, setHtml] = useState("");
+  const [uploadFiles, setUploadFiles] = useState([]);
   const [error, setError] = useState("");
   const [selectedAudits, setSelectedAudits] = useState(["accessibility"]);
   const [brandColors, setBrandColors] = useState("");
+  const [axeConfig, setAxeConfig] = useState({
+    conformance: "wcag21aa",
+    bestPractices: false,
+    enableRules: "",
+    disableRules: "",
+  });
+  const [viewports, setViewports] = useState(["desktop"]);
+  const [customViewports, setCustomViewports] = useState("");
+  const [mediaVariants, setMediaVariants] = useState([]);
+  const [dynamicActions, setDynamicActions] = useState([]);
+  const [targetSizeLevel, setTargetSizeLevel] = useState("aa");
   const [websiteStatus, setWebsiteStatus] = useState(null);
   const [checkingWebsite, setCheckingWebsite] = useState(false);
   const [scanCount, setScanCount] = useState(() => {
@@ -234,23 +267,134 @@ export default function AccessibilityForm({ onScan, loading }) {
 
     const normalizedUrl = normalizeUrl(url);
 
-    if (!validateUrl(normalizedUrl)) {
+    if (source === "url" && !validateUrl(normalizedUrl)) {
       const errorMsg = "Please enter a valid URL (e.g., https://example.com)";
       setError(errorMsg);
       toast.error(errorMsg);
       return;
     }
+    if (source === "html" && !html.trim()) {
+      toast.error("Please paste some HTML to scan");
+      return;
+    }
+    if (source === "files" && uploadFiles.length === 0) {
+      toast.error("Please choose the files or zip archive to scan");
+      return;
+    }
 
     setError("");
-    setUrl(normalizedUrl); // Update the input with normalized URL
+    if (source === "url") {
+      setUrl(normalizedUrl); // Update the input with normalized URL
+    }
 
-    const brandColorsArr = selectedAudits.includes("brand-color-contrast")
+    const brandColorsArr = selectedAudits.includes("brand-color-contrast") || selectedAudits.includes("color-vision")
       ? brandColors
           .split(",")
           .map((c) => c.trim())
           .filter(Boolean)
       : [];
 
+    const parseRules = (value) =>
+      value
+        .split(",")
+        .map((r) => r.trim())
+        .filter(Boolean);
+
+    const scanOptions = {
+      mediaVariants,
+      targetSizeLevel,
+      axeConfig: {
+        conformance: axeConfig.conformance,
+        bestPractices: axeConfig.bestPractices,
+        enableRules: parseRules(axeConfig.enableRules),
+        disableRules: parseRules(axeConfig.disableRules),
+      },
+    };
+
+    if (selectedAudits.includes("dynamic-content")) {
+      // Drop the builder's row ids and empty inputs; numbers arrive as strings
+      const actions = dynamicActions.map((step) => {
+        const action = {};
+        Object.entries(step).forEach(([field, value]) => {
+          if (field === "id" || value === "" || value === undefined) return;
+          action[field] = field === "timeout" || field === "y" ? Number(value) : value;
+        });
+        return action;
+      });
+      const incomplete = actions.findIndex(
+        (action) =>
+          (action.type === "press" && !action.key) ||
+          (action.type === "navigate" && !action.url) ||
+          (["type", "select"].includes(action.type) && !action.value) ||
+          (!["press", "scroll", "waitForNetworkIdle", "navigate"].includes(
+            action.type
+          ) &&
+            !action.selector)
+      );
+      if (actions.length === 0) {
+        toast.error("Add at least one step for the dynamic content audit");
+        return;
+      }
+      if (incomplete !== -1) {
+        toast.error(`Step ${incomplete + 1} of the interaction flow is missing a field`);
+        return;
+      }
+      scanOptions.dynamicActions = actions;
+    }
+
+    const customSizes = customViewports
+      .split(",")
+      .map((v) => v.trim())
+      .filter((v) => /^\d{3,4}x\d{3,4}$/.test(v))
+      .map((v) => {
+        const [width, height] = v.split("x").map(Number);
+        return { width, height };
+      });
+    const allViewports = [...viewports, ...customSizes];
+    // Desktop alone is the server default, so only send viewports when they differ
+    if (
+      allViewports.length > 0 &&
+      !(allViewports.length === 1 && allViewports[0] === "desktop")
+    ) {
+      scanOptions.viewports = allViewports;
+    }
+
+    // Uploaded content is served by the scanner itself, so there is no URL to send
+    let target = normalizedUrl;
+    if (source === "html") {
+      scanOptions.content = { html };
+      target = "upload://index.html";
+    } else if (source === "files") {
+      const totalSize = uploadFiles.reduce((sum, file) => sum + file.size, 0);
+      if (totalSize > MAX_UPLOAD_BYTES) {
+        toast.error("Uploads are limited to 7MB. Try a zip of the build instead.");
+        return;
+      }
+
+      try {
+        const isZip =
+          uploadFiles.length === 1 && /\.zip$/i.test(uploadFiles[0].name);
+        if (isZip) {
+          scanOptions.content = { zip: await readFileAsBase64(uploadFiles[0]) };
+        } else {
+          scanOptions.content = {
+            files: await Promise.all(
+              uploadFiles.map(async (file) => ({
+                path: file.webkitRelativePath || file.name,
+                content: await readFileAsBase64(file),
+                encoding: "base64",
+              }))
+            ),
+          };
+        }
+      } catch (readError) {
+        console.error("Failed to read files:", readError);
+        toast.error("Could not read the selected files");
+        return;
+      }
+      target = `upload://${uploadFiles[0].name}`;
+    }
+
     // Update scan count and show achievement if milestone reached
     const newCount = scanCount + 1;
     setScanCount(newCount);
@@ -271,7 +415,7 @@ export default function AccessibilityForm({ onScan, loading }) {
     }
 
     try {
-      await onScan(normalizedUrl, selectedAudits, brandColorsArr);
+      await onScan(target, selectedAudits, brandColorsArr, scanOptions);
     } catch (error) {
       console.error("Scan failed:", error);
       toast.error("Failed to start scan. Please try again.");
@@ -290,6 +434,41 @@ export default function AccessibilityForm({ onScan, loading }) {
     }
   };
 
+  const analyzeButton = (
+    <button
+      type="submit"
+      className="px-8 py-3 rounded-lg bg-yellow-400 hover:bg-yellow-500 text-black font-bold text-lg shadow transition focus:outline-none focus:ring-2 focus:ring-yellow-400 flex items-center gap-2 min-w-[120px] justify-center disabled:opacity-60"
+      disabled={loading}
+      aria-busy={loading}
+      aria-label={source === "url" ? "Analyze website" : "Analyze uploaded content"}
+    >
+      {loading ? (
+        <svg
+          className="animate-spin h-5 w-5 mr-2 text-black"
+          xmlns="http://www.w3.org/2000/svg"
+          fill="none"
+          viewBox="0 0 24 24"
+        >
+          <circle
+            className="opacity-25"
+            cx="12"
+            cy="12"
+            r="10"
+            stroke="currentColor"
+            strokeWidth="4"
+          ></circle>
+          <path
+            className="opacity-75"
+            fill="currentColor"
+            d="M4 12a8 8 0 018-8v8z"
+          ></path>
+        </svg>
+      ) : (
+        <span>Analyze</span>
+      )}
+    </button>
+  );
+
   return (
     <form
       onSubmit={handleSubmit}
@@ -302,7 +481,7 @@ export default function AccessibilityForm({ onScan, loading }) {
       </h2>
       <p className="text-center text-gray-500 dark:text-gray-300 mb-4 text-base">
         Enter the URL of the website you want to analyze for accessibility
-        issues.
+        issues, or paste HTML and upload a build to check work in progress.
       </p>
 
       {/* User level badge based on scan count */}
@@ -366,154 +545,210 @@ export default function AccessibilityForm({ onScan, loading }) {
         </div>
       </div>
 
-      <div className="flex flex-col gap-2 w-full">
-        <div className="flex flex-row items-center gap-2 w-full">
-          <span className="inline-flex items-center px-3 py-2 bg-gray-100 dark:bg-gray-800 border border-gray-300 dark:border-gray-700 rounded-l-lg text-gray-500 text-lg">
-            <svg
-              xmlns="http://www.w3.org/2000/svg"
-              className="h-5 w-5"
-              fill="none"
-              viewBox="0 0 24 24"
-              stroke="currentColor"
-            >
-              <path
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                strokeWidth={2}
-                d="M13.828 21a4 4 0 01-5.656 0l-5.657-5.657a4 4 0 010-5.656l8.485-8.485a4 4 0 015.657 0l5.656 5.657a4 4 0 010 5.656l-1.414 1.414"
-              />
-            </svg>
-          </span>
-          <input
-            id="website-url"
-            type="url"
-            className={`flex-1 px-5 py-3 rounded-r-lg border-t border-b border-r focus:outline-none focus:ring-2 focus:ring-primary bg-white dark:bg-gray-900 text-black dark:text-white text-lg shadow-sm transition-colors ${
-              error
-                ? "border-red-500 dark:border-red-400"
-                : "border-gray-300 dark:border-gray-700"
-            }`}
-            placeholder="https://example.com"
-            value={url}
-            onChange={handleUrlChange}
-            onBlur={() => {
-              if (url.trim()) {
-                setUrl(normalizeUrl(url));
-              }
-            }}
-            aria-label="Website URL"
-            aria-invalid={!!error}
-            aria-describedby={error ? "url-error" : undefined}
-            required
-            autoComplete="url"
-            autoFocus
-          />
+      <div
+        className="flex flex-wrap justify-center gap-2"
+        role="tablist"
+        aria-label="What to scan"
+      >
+        {sourceModes.map((mode) => (
           <button
+            key={mode.id}
             type="button"
-            onClick={checkWebsiteAvailability}
-            className="ml-2 px-4 py-3 rounded-lg bg-blue-500 hover:bg-blue-600 text-white font-medium text-sm shadow transition focus:outline-none focus:ring-2 focus:ring-blue-400 flex items-center gap-2 disabled:opacity-60"
-            disabled={checkingWebsite || loading}
-            aria-label="Check website availability"
-            title="Quick check if website is accessible"
+            role="tab"
+            aria-selected={source === mode.id}
+            onClick={() => setSource(mode.id)}
+            className={`px-3 py-1.5 rounded-full border text-sm font-medium transition focus:outline-none focus:ring-2 focus:ring-yellow-400 ${
+              source === mode.id
+                ? "bg-yellow-400 border-yellow-400 text-black"
+                : "bg-white dark:bg-gray-900 border-gray-300 dark:border-gray-700"
+            }`}
           >
-            {checkingWebsite ? (
-              <Loader2 className="h-4 w-4 animate-spin" />
-            ) : (
-              <Globe className="h-4 w-4" />
-            )}
-            Check
+            {mode.label}
           </button>
-          <button
-            type="submit"
-            className="ml-2 px-8 py-3 rounded-lg bg-yellow-400 hover:bg-yellow-500 text-black font-bold text-lg shadow transition focus:outline-none focus:ring-2 focus:ring-yellow-400 flex items-center gap-2 min-w-[120px] justify-center disabled:opacity-60"
-            disabled={loading}
-            aria-busy={loading}
-            aria-label="Analyze website"
-          >
-            {loading ? (
+        ))}
+      </div>
+
+      {source === "url" ? (
+        <div className="flex flex-col gap-2 w-full">
+          <div className="flex flex-row items-center gap-2 w-full">
+            <span className="inline-flex items-center px-3 py-2 bg-gray-100 dark:bg-gray-800 border border-gray-300 dark:border-gray-700 rounded-l-lg text-gray-500 text-lg">
               <svg
-                className="animate-spin h-5 w-5 mr-2 text-black"
                 xmlns="http://www.w3.org/2000/svg"
+                className="h-5 w-5"
                 fill="none"
                 viewBox="0 0 24 24"
+                stroke="currentColor"
               >
-                <circle
-                  className="opacity-25"
-                  cx="12"
-                  cy="12"
-                  r="10"
-                  stroke="currentColor"
-                  strokeWidth="4"
-                ></circle>
                 <path
-                  className="opacity-75"
-                  fill="currentColor"
-                  d="M4 12a8 8 0 018-8v8z"
-                ></path>
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M13.828 21a4 4 0 01-5.656 0l-5.657-5.657a4 4 0 010-5.656l8.485-8.485a4 4 0 015.657 0l5.656 5.657a4 4 0 010 5.656l-1.414 1.414"
+                />
               </svg>
-            ) : (
-              <span>Analyze</span>
-            )}
-          </button>
-        </div>
-        {error && (
-          <span
-            id="url-error"
-            className="text-red-600 dark:text-red-400 text-sm mt-1 ml-2 flex items-center gap-1"
-            role="alert"
-          >
-            <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-              <path
-                fillRule="evenodd"
-                d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z"
-                clipRule="evenodd"
-              />
-            </svg>
-            {error}
-          </span>
-        )}
-
-        {websiteStatus && (
-          <div
-            className={`mt-2 p-3 rounded-lg border text-sm ${
-              websiteStatus.accessible
-                ? "bg-green-50 dark:bg-green-900/20 border-green-200 dark:border-green-800 text-green-800 dark:text-green-200"
-                : "bg-orange-50 dark:bg-orange-900/20 border-orange-200 dark:border-orange-800 text-orange-800 dark:text-orange-200"
-            }`}
-          >
-            <div className="flex items-start gap-2">
-              {websiteStatus.accessible ? (
-                <CheckCircle className="h-5 w-5 mt-0.5 text-green-600 dark:text-green-400" />
+            </span>
+            <input
+              id="website-url"
+              type="url"
+              className={`flex-1 px-5 py-3 rounded-r-lg border-t border-b border-r focus:outline-none focus:ring-2 focus:ring-primary bg-white dark:bg-gray-900 text-black dark:text-white text-lg shadow-sm transition-colors ${
+                error
+                  ? "border-red-500 dark:border-red-400"
+                  : "border-gray-300 dark:border-gray-700"
+              }`}
+              placeholder="https://example.com"
+              value={url}
+              onChange={handleUrlChange}
+              onBlur={() => {
+                if (url.trim()) {
+                  setUrl(normalizeUrl(url));
+                }
+              }}
+              aria-label="Website URL"
+              aria-invalid={!!error}
+              aria-describedby={error ? "url-error" : undefined}
+              required
+              autoComplete="url"
+              autoFocus
+            />
+            <button
+              type="button"
+              onClick={checkWebsiteAvailability}
+              className="ml-2 px-4 py-3 rounded-lg bg-blue-500 hover:bg-blue-600 text-white font-medium text-sm shadow transition focus:outline-none focus:ring-2 focus:ring-blue-400 flex items-center gap-2 disabled:opacity-60"
+              disabled={checkingWebsite || loading}
+              aria-label="Check website availability"
+              title="Quick check if website is accessible"
+            >
+              {checkingWebsite ? (
+                <Loader2 className="h-4 w-4 animate-spin" />
               ) : (
-                <AlertCircle className="h-5 w-5 mt-0.5 text-orange-600 dark:text-orange-400" />
+                <Globe className="h-4 w-4" />
               )}
-              <div className="flex-1">
-                <div className="font-medium">
-                  {websiteStatus.accessible
-                    ? "Website Available"
-                    : "Website Issue Detected"}
-                </div>
-                <div className="mt-1 text-xs">
-                  {websiteStatus.recommendation}
-                </div>
-                {websiteStatus.details && (
-                  <div className="mt-1 text-xs opacity-75">
-                    {websiteStatus.details.title &&
-                      `Title: "${websiteStatus.details.title}"`}
-                    {websiteStatus.loadTime &&
-                      ` • Load time: ${websiteStatus.loadTime}ms`}
-                  </div>
+              Check
+            </button>
+            {analyzeButton}
+          </div>
+          {error && (
+            <span
+              id="url-error"
+              className="text-red-600 dark:text-red-400 text-sm mt-1 ml-2 flex items-center gap-1"
+              role="alert"
+            >
+              <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                <path
+                  fillRule="evenodd"
+                  d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z"
+                  clipRule="evenodd"
+                />
+              </svg>
+              {error}
+            </span>
+          )}
+
+          {websiteStatus && (
+            <div
+              className={`mt-2 p-3 rounded-lg border text-sm ${
+                websiteStatus.accessible
+                  ? "bg-green-50 dark:bg-green-900/20 border-green-200 dark:border-green-800 text-green-800 dark:text-green-200"
+                  : "bg-orange-50 dark:bg-orange-900/20 border-orange-200 dark:border-orange-800 text-orange-800 dark:text-orange-200"
+              }`}
+            >
+              <div className="flex items-start gap-2">
+                {websiteStatus.accessible ? (
+                  <CheckCircle className="h-5 w-5 mt-0.5 text-green-600 dark:text-green-400" />
+                ) : (
+                  <AlertCircle className="h-5 w-5 mt-0.5 text-orange-600 dark:text-orange-400" />
                 )}
+                <div className="flex-1">
+                  <div className="font-medium">
+                    {websiteStatus.accessible
+                      ? "Website Available"
+                      : "Website Issue Detected"}
+                  </div>
+                  <div className="mt-1 text-xs">
+                    {websiteStatus.recommendation}
+                  </div>
+                  {websiteStatus.details && (
+                    <div className="mt-1 text-xs opacity-75">
+                      {websiteStatus.details.title &&
+                        `Title: "${websiteStatus.details.title}"`}
+                      {websiteStatus.loadTime &&
+                        ` • Load time: ${websiteStatus.loadTime}ms`}
+                    </div>
+                  )}
+                </div>
               </div>
             </div>
-          </div>
-        )}
-      </div>
+          )}
+        </div>
+      ) : (
+        <div className="flex flex-col gap-3 w-full">
+          {source === "html" ? (
+            <textarea
+              id="html-source"
+              className="w-full h-48 px-4 py-3 rounded-lg border border-gray-300 dark:border-gray-700 focus:outline-none focus:ring-2 focus:ring-primary bg-white dark:bg-gray-900 text-black dark:text-white font-mono text-sm shadow-sm"
+              placeholder={'<!doctype html>\n<html lang="en">...</html>'}
+              value={html}
+              onChange={(e) => setHtml(e.target.value)}
+              aria-label="HTML to scan"
+              spellCheck={false}
+            />
+          ) : (
+            <div className="flex flex-col gap-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <label className="px-4 py-3 rounded-lg border border-dashed border-gray-400 dark:border-gray-600 cursor-pointer flex items-center gap-2 text-sm font-medium focus-within:ring-2 focus-within:ring-yellow-400">
+                  <Upload className="h-4 w-4" />
+                  Choose files or a .zip
+                  <input
+                    type="file"
+                    multiple
+                    className="sr-only"
+                    onChange={(e) => setUploadFiles(Array.from(e.target.files))}
+                  />
+                </label>
+                <label className="px-4 py-3 rounded-lg border border-dashed border-gray-400 dark:border-gray-600 cursor-pointer flex items-center gap-2 text-sm font-medium focus-within:ring-2 focus-within:ring-yellow-400">
+                  <Upload className="h-4 w-4" />
+                  Choose a build folder
+                  <input
+                    type="file"
+                    webkitdirectory=""
+                    className="sr-only"
+                    onChange={(e) => setUploadFiles(Array.from(e.target.files))}
+                  />
+                </label>
+              </div>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {uploadFiles.length > 0
+                  ? `${uploadFiles.length} file${
+                      uploadFiles.length === 1 ? "" : "s"
+                    } selected (${(
+                      uploadFiles.reduce((sum, file) => sum + file.size, 0) /
+                      1024
+                    ).toFixed(0)} KB)`
+                  : "Pick the HTML, CSS, JS and images of a page, a whole build folder, or one zip of your static build. index.html is opened first."}
+              </p>
+            </div>
+          )}
+          <div className="flex justify-end">{analyzeButton}</div>
+        </div>
+      )}
       <div className="w-full">
         <AuditOptions
           selected={selectedAudits}
           setSelected={setSelectedAudits}
           brandColors={brandColors}
           setBrandColors={setBrandColors}
+          axeConfig={axeConfig}
+          setAxeConfig={setAxeConfig}
+          viewports={viewports}
+          setViewports={setViewports}
+          customViewports={customViewports}
+          setCustomViewports={setCustomViewports}
+          mediaVariants={mediaVariants}
+          setMediaVariants={setMediaVariants}
+          dynamicActions={dynamicActions}
+          setDynamicActions={setDynamicActions}
+          targetSizeLevel={targetSizeLevel}
+          setTargetSizeLevel={setTargetSizeLevel}
         />
       </div>
     </form>
@@ -0,0 +1,104 @@
+import React, { useState, useRef, useEffect } from 'react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+const impactColors = {
+  critical: '#dc2626',
+  serious: '#ea580c',
+  moderate: '#eab308',
+  minor: '#3b82f6',
+};
+
+/**
+ * AnnotatedScreenshot
+ * Props:
+ *   screenshot: result.pageScreenshot ({ url, width, height, truncated, boxes, error })
+ *   focusRequest: { ruleId } set when a rule is picked in the issues table; a new object
+ *                 scrolls to that rule's first box even if the same rule is picked again
+ * Draws a severity-colored box for every violation node on the full-page screenshot taken
+ * during the scan, with a tooltip naming the issue.
+ */
+export default function AnnotatedScreenshot({ screenshot, focusRequest }) {
+  const [activeBox, setActiveBox] = useState(null);
+  const containerRef = useRef(null);
+  const boxRefs = useRef({});
+
+  const focusedRuleId = focusRequest?.ruleId;
+
+  useEffect(() => {
+    if (!focusRequest || !screenshot?.boxes) return;
+    const index = screenshot.boxes.findIndex(box => box.ruleId === focusRequest.ruleId);
+    if (index === -1) return;
+    setActiveBox(index);
+    containerRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    boxRefs.current[index]?.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
+  }, [focusRequest, screenshot]);
+
+  if (!screenshot) return null;
+  if (screenshot.error) {
+    return <div className="text-orange-700 text-sm p-4 bg-orange-50 rounded-xl shadow mb-8">{screenshot.error}</div>;
+  }
+
+  const { width, height, boxes = [] } = screenshot;
+  const toPercent = (value, total) => `${(value / total) * 100}%`;
+
+  return (
+    <div className="mb-8" ref={containerRef}>
+      <h3 className="text-lg font-semibold mb-2">Page Snapshot</h3>
+      <p className="text-sm text-gray-600 dark:text-gray-300 mb-2">
+        The page as it was scanned, with {boxes.length} failing elements outlined by severity.
+        {screenshot.truncated && ' Very long pages are cut off at the bottom.'}
+      </p>
+      <div className="flex flex-wrap gap-3 text-xs mb-2">
+        {Object.entries(impactColors).map(([impact, color]) => (
+          <span key={impact} className="flex items-center gap-1 capitalize">
+            <span className="inline-block w-3 h-3 rounded-sm border-2" style={{ borderColor: color }}></span>
+            {impact}
+          </span>
+        ))}
+      </div>
+      <div className="w-full max-h-[40rem] overflow-auto rounded-xl border bg-gray-100 dark:bg-gray-800">
+        <div className="relative w-full">
+          <img src={`${API_URL}${screenshot.url}`} alt="Full-page screenshot of the scanned website" className="block w-full h-auto" />
+          {boxes.map((box, index) => {
+            const color = impactColors[box.impact] || impactColors.minor;
+            const isActive = activeBox === index;
+            const isFocusedRule = focusedRuleId && box.ruleId === focusedRuleId;
+            return (
+              <button
+                key={index}
+                ref={el => { boxRefs.current[index] = el; }}
+                type="button"
+                className={`absolute rounded-sm focus:outline-none ${isFocusedRule ? 'animate-pulse' : ''}`}
+                style={{
+                  left: toPercent(box.x, width),
+                  top: toPercent(box.y, height),
+                  width: toPercent(box.width, width),
+                  height: toPercent(box.height, height),
+                  border: `${isActive || isFocusedRule ? 3 : 2}px solid ${color}`,
+                  backgroundColor: isActive ? `${color}33` : 'transparent',
+                  zIndex: isActive ? 20 : 10,
+                }}
+                aria-label={`${box.impact || 'unknown'} issue: ${box.help} (${box.target})`}
+                onMouseEnter={() => setActiveBox(index)}
+                onFocus={() => setActiveBox(index)}
+                onClick={() => setActiveBox(index)}
+              >
+                {isActive && (
+                  <span
+                    className="absolute left-0 top-full mt-1 w-64 text-left text-xs bg-gray-900 text-white rounded px-2 py-1 shadow-lg z-30"
+                    role="tooltip"
+                  >
+                    <span className="block font-semibold capitalize" style={{ color }}>{box.impact}</span>
+                    <span className="block">{box.help}</span>
+                    <span className="block font-mono opacity-75 break-all">{box.target}</span>
+                  </span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import React, { useState } from 'react';
 import { toast } from 'sonner';
+import DynamicFlowBuilder from './DynamicFlowBuilder';
 
 const auditOptions = [
   { label: 'Accessibility', value: 'accessibility', checked: true },
@@ -8,10 +9,65 @@ const auditOptions = [
   { label: 'SEO', value: 'seo', checked: false },
   { label: 'PWA', value: 'pwa', checked: false },
   { label: 'Brand Color Contrast', value: 'brand-color-contrast', checked: false },
+  { label: 'Color Vision Simulation', value: 'color-vision', checked: false },
+  { label: 'Reflow & Text Resize', value: 'reflow', checked: false },
+  { label: 'Text Spacing', value: 'text-spacing', checked: false },
+  { label: 'Target Size', value: 'target-size', checked: false },
+  { label: 'Non-text Contrast', value: 'non-text-contrast', checked: false },
+  { label: 'Text Over Images', value: 'image-text-contrast', checked: false },
+  { label: 'Keyboard Navigation', value: 'keyboard', checked: false },
+  { label: 'Screen Reader Preview', value: 'accessibility-tree', checked: false },
+  { label: 'Dynamic Content', value: 'dynamic-content', checked: false },
 ];
 
-export default function AuditOptions({ selected, setSelected, brandColors, setBrandColors }) {
+// Conformance targets understood by the server's axeConfig.conformance
+const conformanceTargets = [
+  { label: 'WCAG 2.0 A', value: 'wcag20a' },
+  { label: 'WCAG 2.0 AA', value: 'wcag20aa' },
+  { label: 'WCAG 2.0 AAA', value: 'wcag20aaa' },
+  { label: 'WCAG 2.1 A', value: 'wcag21a' },
+  { label: 'WCAG 2.1 AA', value: 'wcag21aa' },
+  { label: 'WCAG 2.1 AAA', value: 'wcag21aaa' },
+  { label: 'WCAG 2.2 A', value: 'wcag22a' },
+  { label: 'WCAG 2.2 AA', value: 'wcag22aa' },
+  { label: 'WCAG 2.2 AAA', value: 'wcag22aaa' },
+];
+
+// Viewport presets understood by the server's viewports option
+const viewportOptions = [
+  { label: 'Desktop', value: 'desktop', hint: '1920x1080' },
+  { label: 'Tablet', value: 'tablet', hint: 'Galaxy Tab S4' },
+  { label: 'Phone', value: 'phone', hint: 'Pixel 7' },
+];
+
+// Emulated user preferences understood by the server's mediaVariants option
+const mediaVariantOptions = [
+  { label: 'Dark mode', value: 'dark' },
+  { label: 'Forced colors', value: 'forced-colors' },
+  { label: 'Reduced motion', value: 'reduced-motion' },
+  { label: 'More contrast', value: 'more-contrast' },
+];
+
+export default function AuditOptions({
+  selected,
+  setSelected,
+  brandColors,
+  setBrandColors,
+  axeConfig,
+  setAxeConfig,
+  viewports,
+  setViewports,
+  customViewports,
+  setCustomViewports,
+  mediaVariants,
+  setMediaVariants,
+  dynamicActions,
+  setDynamicActions,
+  targetSizeLevel,
+  setTargetSizeLevel,
+}) {
   const [brandColorError, setBrandColorError] = useState('');
+  const [customViewportError, setCustomViewportError] = useState('');
 
   const handleChange = (value) => {
     if (!setSelected) {
@@ -46,6 +102,38 @@ export default function AuditOptions({ selected, setSelected, brandColors, setBr
       setBrandColorError('');
     }
   };
+
+  const updateAxeConfig = (field, value) => {
+    setAxeConfig(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleViewportChange = (value) => {
+    setViewports(prev =>
+      prev.includes(value)
+        ? prev.filter(v => v !== value)
+        : [...prev, value]
+    );
+  };
+
+  const handleMediaVariantChange = (value) => {
+    setMediaVariants(prev =>
+      prev.includes(value)
+        ? prev.filter(v => v !== value)
+        : [...prev, value]
+    );
+  };
+
+  const handleCustomViewportChange = (e) => {
+    const value = e.target.value;
+    setCustomViewports(value);
+
+    const invalidSizes = value
+      .split(',')
+      .map(v => v.trim())
+      .filter(v => v && !v.match(/^\d{3,4}x\d{3,4}$/));
+    setCustomViewportError(invalidSizes.length > 0 ? `Invalid sizes: ${invalidSizes.join(', ')}` : '');
+  };
+
   return (
     <fieldset className="flex flex-col gap-2 w-full" aria-label="Audit Options">
       <legend className="font-semibold text-base mb-2">Audit Options</legend>
@@ -67,7 +155,151 @@ export default function AuditOptions({ selected, setSelected, brandColors, setBr
           </label>
         ))}
       </div>
-      {selected.includes('brand-color-contrast') && (
+      {selected.includes('accessibility') && axeConfig && (
+        <div className="flex flex-col gap-3 mt-3">
+          <div className="flex flex-wrap items-end gap-4">
+            <div className="flex flex-col gap-1">
+              <label
+                htmlFor="conformance-target-select"
+                className="text-xs font-semibold text-gray-700 dark:text-gray-200"
+              >
+                Conformance Target
+              </label>
+              <select
+                id="conformance-target-select"
+                className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-base shadow-sm focus:outline-none focus:ring-2 focus:ring-yellow-400 text-black dark:text-white"
+                value={axeConfig.conformance}
+                onChange={(e) => updateAxeConfig('conformance', e.target.value)}
+              >
+                {conformanceTargets.map(target => (
+                  <option key={target.value} value={target.value}>{target.label}</option>
+                ))}
+              </select>
+            </div>
+            <label className="flex items-center gap-2 cursor-pointer select-none text-sm font-medium py-2">
+              <input
+                type="checkbox"
+                checked={axeConfig.bestPractices}
+                onChange={(e) => updateAxeConfig('bestPractices', e.target.checked)}
+                className="accent-yellow-400 w-5 h-5"
+              />
+              Include best practices
+            </label>
+          </div>
+          <div className="flex flex-wrap gap-4">
+            <div className="flex flex-col gap-1 max-w-xs">
+              <label
+                htmlFor="enable-rules-input"
+                className="text-xs font-semibold text-gray-700 dark:text-gray-200"
+              >
+                Always Run Rules (axe rule IDs, comma separated)
+              </label>
+              <input
+                id="enable-rules-input"
+                type="text"
+                className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 text-base shadow-sm focus:outline-none focus:ring-2 focus:ring-yellow-400 text-black dark:text-white"
+                placeholder="region,skip-link"
+                value={axeConfig.enableRules}
+                onChange={(e) => updateAxeConfig('enableRules', e.target.value)}
+              />
+            </div>
+            <div className="flex flex-col gap-1 max-w-xs">
+              <label
+                htmlFor="disable-rules-input"
+                className="text-xs font-semibold text-gray-700 dark:text-gray-200"
+              >
+                Skip Rules (axe rule IDs, comma separated)
+              </label>
+              <input
+                id="disable-rules-input"
+                type="text"
+                className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 text-base shadow-sm focus:outline-none focus:ring-2 focus:ring-yellow-400 text-black dark:text-white"
+                placeholder="color-contrast"
+                value={axeConfig.disableRules}
+                onChange={(e) => updateAxeConfig('disableRules', e.target.value)}
+              />
+            </div>
+          </div>
+        </div>
+      )}
+      {viewports && (
+        <div className="flex flex-col gap-2 mt-3">
+          <span className="text-xs font-semibold text-gray-700 dark:text-gray-200">Viewports</span>
+          <div className="flex flex-wrap items-center gap-3">
+            {viewportOptions.map(opt => (
+              <label key={opt.value} className="flex items-center gap-2 cursor-pointer select-none text-sm font-medium" title={opt.hint}>
+                <input
+                  type="checkbox"
+                  checked={viewports.includes(opt.value)}
+                  onChange={() => handleViewportChange(opt.value)}
+                  className="accent-yellow-400 w-5 h-5"
+                />
+                {opt.label}
+                <span className="text-xs text-gray-500 dark:text-gray-400">({opt.hint})</span>
+              </label>
+            ))}
+          </div>
+          <div className="flex flex-col gap-1 max-w-xs">
+            <label
+              htmlFor="custom-viewports-input"
+              className="text-xs font-semibold text-gray-700 dark:text-gray-200"
+            >
+              Custom Sizes (WIDTHxHEIGHT, comma separated)
+            </label>
+            <input
+              id="custom-viewports-input"
+              type="text"
+              className={`px-3 py-2 rounded-lg border text-base shadow-sm focus:outline-none focus:ring-2 ${
+                customViewportError
+                  ? 'border-red-400 bg-red-50 dark:bg-red-900/30 focus:ring-red-400'
+                  : 'border-gray-300 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 focus:ring-yellow-400'
+              } text-black dark:text-white`}
+              placeholder="1366x768"
+              value={customViewports}
+              onChange={handleCustomViewportChange}
+              aria-describedby={customViewportError ? "custom-viewports-error" : undefined}
+            />
+            {customViewportError && (
+              <span id="custom-viewports-error" className="text-xs text-red-600 dark:text-red-400">
+                {customViewportError}
+              </span>
+            )}
+          </div>
+        </div>
+      )}
+      {mediaVariants && (
+        <div className="flex flex-col gap-2 mt-3">
+          <span className="text-xs font-semibold text-gray-700 dark:text-gray-200">Also Scan With User Preferences</span>
+          <div className="flex flex-wrap items-center gap-3">
+            {mediaVariantOptions.map(opt => (
+              <label key={opt.value} className="flex items-center gap-2 cursor-pointer select-none text-sm font-medium">
+                <input
+                  type="checkbox"
+                  checked={mediaVariants.includes(opt.value)}
+                  onChange={() => handleMediaVariantChange(opt.value)}
+                  className="accent-yellow-400 w-5 h-5"
+                />
+                {opt.label}
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+      {selected.includes('target-size') && targetSizeLevel && (
+        <label className="flex items-center gap-2 mt-3 cursor-pointer select-none text-sm font-medium">
+          <input
+            type="checkbox"
+            checked={targetSizeLevel === 'aaa'}
+            onChange={(e) => setTargetSizeLevel(e.target.checked ? 'aaa' : 'aa')}
+            className="accent-yellow-400 w-5 h-5"
+          />
+          Also flag targets under 44x44px (AAA)
+        </label>
+      )}
+      {selected.includes('dynamic-content') && dynamicActions && (
+        <DynamicFlowBuilder steps={dynamicActions} setSteps={setDynamicActions} />
+      )}
+      {(selected.includes('brand-color-contrast') || selected.includes('color-vision')) && (
         <div className="flex flex-col gap-1 mt-3 max-w-xs">
           <label 
             htmlFor="brand-colors-input"
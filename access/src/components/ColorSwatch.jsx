@@ -0,0 +1,38 @@
+import React from 'react';
+import { toast } from 'sonner';
+import { Copy } from 'lucide-react';
+
+/**
+ * ColorSwatch
+ * Props:
+ *   hex: Color to show, e.g. #1a73e8
+ *   label: What the color is for, e.g. "Text shade"
+ *   contrast: Optional contrast ratio the color reaches
+ * A color chip with its hex code; clicking copies the hex to the clipboard.
+ */
+export default function ColorSwatch({ hex, label, contrast }) {
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(hex);
+      toast.success(`Copied ${hex}`);
+    } catch {
+      toast.error('Could not copy to the clipboard');
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      onClick={copy}
+      className="inline-flex items-center gap-2 px-2 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-900 text-xs text-gray-900 dark:text-gray-100 hover:bg-gray-100 dark:hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+      title={`Copy ${hex}`}
+      aria-label={`${label ? `${label}: ` : ''}${hex}${contrast ? `, contrast ${contrast}:1` : ''}. Copy to clipboard`}
+    >
+      <span className="inline-block w-5 h-5 rounded border border-gray-400" style={{ backgroundColor: hex }} aria-hidden="true" />
+      {label && <span>{label}</span>}
+      <span className="font-mono">{hex}</span>
+      {contrast && <span className="text-gray-500 dark:text-gray-400">{contrast}:1</span>}
+      <Copy className="h-3 w-3 opacity-60" aria-hidden="true" />
+    </button>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import ColorSwatch from './ColorSwatch';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+const pairColors = ['#dc2626', '#2563eb', '#16a34a', '#9333ea', '#ea580c'];
+
+/**
+ * ColorVisionResults
+ * Props:
+ *   colorVision: result.colorVision ({ simulations, confusablePairs, error })
+ * Tabbed viewer of the page screenshot under each simulated color vision deficiency. Brand
+ * color pairs that become hard to tell apart are listed per simulation, and the elements
+ * using them are outlined on that simulation's screenshot.
+ */
+export default function ColorVisionResults({ colorVision }) {
+  const [active, setActive] = useState(0);
+
+  if (!colorVision) return null;
+  if (colorVision.error) {
+    return <div className="text-orange-700 text-sm p-4 bg-orange-50 rounded-xl shadow mb-8">{colorVision.error}</div>;
+  }
+
+  const { simulations = [], confusablePairs = [] } = colorVision;
+  if (simulations.length === 0) return null;
+
+  const current = simulations[Math.min(active, simulations.length - 1)];
+  const pairs = confusablePairs.filter(pair => pair.simulation === current.type);
+  const { screenshot } = current;
+  const toPercent = (value, total) => `${(value / total) * 100}%`;
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-800 rounded-xl p-6 shadow mb-8">
+      <h3 className="text-xl font-bold mb-2">Color Vision Simulation</h3>
+      <p className="mb-4 text-gray-600 dark:text-gray-300">
+        The page as it may look to people with each type of color vision deficiency.
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-4" role="tablist" aria-label="Color vision simulations">
+        {simulations.map((simulation, idx) => {
+          const count = confusablePairs.filter(pair => pair.simulation === simulation.type).length;
+          return (
+            <button
+              key={simulation.type}
+              type="button"
+              role="tab"
+              aria-selected={simulation === current}
+              onClick={() => setActive(idx)}
+              className={`px-3 py-1.5 rounded-full border text-sm font-medium transition focus:outline-none focus:ring-2 focus:ring-yellow-400 ${
+                simulation === current
+                  ? 'bg-yellow-400 border-yellow-400 text-black'
+                  : 'bg-white dark:bg-gray-900 border-gray-300 dark:border-gray-700'
+              }`}
+            >
+              {simulation.label}
+              {count > 0 && (
+                <span className="ml-2 inline-block px-1.5 rounded-full bg-red-600 text-white text-xs">
+                  {count}
+                </span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+
+      <div role="tabpanel">
+        {pairs.length > 0 ? (
+          <ul className="space-y-2 mb-4">
+            {pairs.map((pair, idx) => (
+              <li key={idx} className="flex flex-wrap items-center gap-2 text-sm">
+                <span
+                  className="inline-block w-3 h-3 rounded-sm border-2"
+                  style={{ borderColor: pairColors[idx % pairColors.length] }}
+                  aria-hidden="true"
+                ></span>
+                <ColorSwatch hex={pair.colors[0]} />
+                <span>and</span>
+                <ColorSwatch hex={pair.colors[1]} />
+                <span>look like</span>
+                <ColorSwatch hex={pair.simulated[0]} label="Seen as" />
+                <ColorSwatch hex={pair.simulated[1]} label="Seen as" />
+                <span className="text-xs text-gray-500 dark:text-gray-400">
+                  (difference {pair.difference})
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-green-700 mb-4">
+            No brand colors become hard to tell apart with {current.label.toLowerCase()}.
+          </p>
+        )}
+
+        {screenshot && (
+          <div className="w-full max-h-[40rem] overflow-auto rounded-xl border bg-gray-100 dark:bg-gray-800">
+            <div className="relative w-full">
+              <img
+                src={`${API_URL}${screenshot.url}`}
+                alt={`Full-page screenshot of the scanned website simulated for ${current.label.toLowerCase()}`}
+                className="block w-full h-auto"
+              />
+              {pairs.flatMap((pair, pairIdx) => (pair.elements || []).map((element, idx) => (
+                <span
+                  key={`${pairIdx}-${idx}`}
+                  className="absolute rounded-sm pointer-events-none"
+                  style={{
+                    left: toPercent(element.x, screenshot.width),
+                    top: toPercent(element.y, screenshot.height),
+                    width: toPercent(element.width, screenshot.width),
+                    height: toPercent(element.height, screenshot.height),
+                    border: `2px solid ${pairColors[pairIdx % pairColors.length]}`,
+                  }}
+                  title={`${element.color}: ${element.selector}`}
+                ></span>
+              )))}
+            </div>
+          </div>
+        )}
+        {screenshot?.truncated && (
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Very long pages are cut off at the bottom.</p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import React, { useState } from 'react';
+import { CheckCircle, XCircle, MinusCircle } from 'lucide-react';
+import ViolationChanges from './ViolationChanges';
+
+const impactStyles = {
+  critical: 'bg-red-100 text-red-700',
+  serious: 'bg-orange-100 text-orange-700',
+  moderate: 'bg-yellow-100 text-yellow-800',
+  minor: 'bg-blue-100 text-blue-700',
+};
+
+function StatusIcon({ status }) {
+  if (status === 'passed') return <CheckCircle className="h-5 w-5 text-green-600 shrink-0" aria-label="Step passed" />;
+  if (status === 'skipped') return <MinusCircle className="h-5 w-5 text-gray-400 shrink-0" aria-label="Step skipped" />;
+  return <XCircle className="h-5 w-5 text-red-600 shrink-0" aria-label="Step failed" />;
+}
+
+// e.g. "press Escape on #dialog" or "click .menu-toggle"
+function describeAction(action) {
+  return [action.type, action.key, action.selector, action.url, action.value && `"${action.value}"`]
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * DynamicContentResults
+ * Props:
+ *   steps: result.dynamicContent - one entry per dynamic action
+ *          ({ step, action, status, duration, issues, comparedToBaseline, error })
+ * Steps with a baseline comparison show only the violations the interaction introduced or
+ * fixed; older results fall back to every violation found after the step.
+ */
+export default function DynamicContentResults({ steps }) {
+  const [expanded, setExpanded] = useState(null);
+
+  if (!steps?.length) return null;
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-800 rounded-xl p-6 shadow mb-8">
+      <h3 className="text-xl font-bold mb-2">Interaction Flow</h3>
+      <p className="mb-4 text-gray-600 dark:text-gray-300">
+        What each scripted interaction changed, compared with the page before the flow started.
+      </p>
+
+      <ol className="space-y-2">
+        {steps.map((entry, idx) => {
+          // Reports saved before steps had a status only carry an error
+          const status = entry.status || (entry.error ? 'failed' : 'passed');
+          const violations = entry.issues?.violations || [];
+          const changes = entry.comparedToBaseline;
+          const changeCount = changes ? changes.introduced.length + changes.resolved.length : violations.length;
+          const isExpanded = expanded === idx;
+
+          return (
+            <li key={idx} className="border rounded-lg p-3 bg-white dark:bg-gray-900 text-sm">
+              <div className="flex flex-wrap items-center gap-2">
+                <StatusIcon status={status} />
+                <span className="font-mono text-gray-500">{entry.step || idx + 1}.</span>
+                <code className="bg-gray-200 dark:bg-gray-700 px-1 rounded break-all">{describeAction(entry.action)}</code>
+                {entry.duration !== undefined && (
+                  <span className="text-xs text-gray-500 dark:text-gray-400">{entry.duration}ms</span>
+                )}
+                {status === 'passed' && entry.issues && (
+                  <button
+                    type="button"
+                    className={`ml-auto text-sm font-semibold underline ${
+                      (changes ? changes.introduced.length : violations.length) ? 'text-red-600' : 'text-green-700'
+                    }`}
+                    aria-expanded={isExpanded}
+                    onClick={() => setExpanded(isExpanded ? null : idx)}
+                    disabled={changeCount === 0}
+                  >
+                    {changes
+                      ? `${changes.introduced.length} new, ${changes.resolved.length} fixed`
+                      : `${violations.length} rules with violations`}
+                  </button>
+                )}
+                {status === 'passed' && !entry.issues && (
+                  <span className="ml-auto text-xs text-gray-500 dark:text-gray-400">Not audited</span>
+                )}
+              </div>
+
+              {entry.error && (
+                <div className={`mt-1 ${status === 'skipped' ? 'text-gray-500 dark:text-gray-400' : 'text-red-600'}`}>
+                  {entry.error}
+                </div>
+              )}
+
+              {isExpanded && changes && (
+                <div className="mt-3">
+                  <ViolationChanges
+                    title="New compared with the page before the flow"
+                    items={changes.introduced}
+                    emptyText="This step shows no new violations."
+                  />
+                  <ViolationChanges
+                    title="Fixed compared with the page before the flow"
+                    items={changes.resolved}
+                    emptyText="Every earlier violation is still present."
+                  />
+                </div>
+              )}
+
+              {isExpanded && !changes && (
+                <ul className="mt-2 space-y-1">
+                  {violations.map(violation => (
+                    <li key={violation.id} className="flex flex-wrap items-center gap-2">
+                      <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${impactStyles[violation.impact] || impactStyles.minor}`}>
+                        {violation.impact || 'unknown'}
+                      </span>
+                      <span>{violation.help}</span>
+                      <span className="text-xs text-gray-500 dark:text-gray-400">
+                        ({violation.nodes?.length || 0} elements)
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,270 @@
+import React, { useState } from 'react';
+import { ArrowUp, ArrowDown, Trash2, Plus, Save } from 'lucide-react';
+
+// Dynamic action types understood by the server's dynamicActions option, with the inputs each one uses
+const actionTypes = [
+  { value: 'click', label: 'Click', fields: ['selector'] },
+  { value: 'hover', label: 'Hover', fields: ['selector'] },
+  { value: 'focus', label: 'Focus', fields: ['selector'] },
+  { value: 'type', label: 'Type text', fields: ['selector', 'value'] },
+  { value: 'select', label: 'Select option', fields: ['selector', 'value'] },
+  { value: 'check', label: 'Check / uncheck', fields: ['selector', 'checked'] },
+  { value: 'press', label: 'Press key', fields: ['key', 'selector'] },
+  { value: 'scroll', label: 'Scroll', fields: ['selector', 'y'] },
+  { value: 'waitForSelector', label: 'Wait for element', fields: ['selector', 'state'] },
+  { value: 'waitForNetworkIdle', label: 'Wait for network idle', fields: [] },
+  { value: 'navigate', label: 'Go to URL', fields: ['url'] },
+  { value: 'assertVisible', label: 'Assert visible', fields: ['selector'] },
+];
+
+const fieldPlaceholders = {
+  selector: 'CSS selector, e.g. .menu-toggle',
+  value: 'Value',
+  key: 'Key, e.g. Escape',
+  url: '/about or https://…',
+  y: 'Pixels (default one screen)',
+};
+
+const SAVED_FLOWS_KEY = 'dynamicFlows';
+
+let nextStepId = 1;
+const newStep = (action = { type: 'click', selector: '' }) => ({ id: nextStepId++, ...action });
+
+const loadSavedFlows = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SAVED_FLOWS_KEY) || '{}');
+  } catch {
+    return {};
+  }
+};
+
+const inputClass = 'px-2 py-1.5 rounded border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm text-black dark:text-white focus:outline-none focus:ring-2 focus:ring-yellow-400';
+
+/**
+ * DynamicFlowBuilder
+ * Props:
+ *   steps: Array of dynamic actions being edited, each with a client-side id
+ *   setSteps: State setter for steps
+ * Lets the user add, reorder and edit the interactions run before each axe re-check, and
+ * save flows in localStorage to reuse on later scans.
+ */
+export default function DynamicFlowBuilder({ steps, setSteps }) {
+  const [savedFlows, setSavedFlows] = useState(loadSavedFlows);
+  const [flowName, setFlowName] = useState('');
+
+  const updateStep = (id, field, value) => {
+    setSteps(prev => prev.map(step => (step.id === id ? { ...step, [field]: value } : step)));
+  };
+
+  // Switching type keeps the selector but drops fields the new type doesn't use
+  const changeType = (id, type) => {
+    setSteps(prev => prev.map(step => (step.id === id ? { id, type, selector: step.selector || '' } : step)));
+  };
+
+  const moveStep = (index, offset) => {
+    setSteps(prev => {
+      const next = [...prev];
+      const [step] = next.splice(index, 1);
+      next.splice(index + offset, 0, step);
+      return next;
+    });
+  };
+
+  const persistFlows = (flows) => {
+    setSavedFlows(flows);
+    localStorage.setItem(SAVED_FLOWS_KEY, JSON.stringify(flows));
+  };
+
+  const saveFlow = () => {
+    const name = flowName.trim();
+    if (!name || steps.length === 0) return;
+    const actions = steps.map(step => {
+      const action = { ...step };
+      delete action.id;
+      return action;
+    });
+    persistFlows({ ...savedFlows, [name]: actions });
+  };
+
+  const loadFlow = (name) => {
+    if (!savedFlows[name]) return;
+    setFlowName(name);
+    setSteps(savedFlows[name].map(action => newStep(action)));
+  };
+
+  const deleteFlow = () => {
+    const { [flowName.trim()]: _removed, ...rest } = savedFlows;
+    persistFlows(rest);
+    setFlowName('');
+  };
+
+  return (
+    <div className="flex flex-col gap-3 mt-3">
+      <span className="text-xs font-semibold text-gray-700 dark:text-gray-200">
+        Interaction Flow (steps run in order; axe re-checks the page after each one)
+      </span>
+
+      {steps.length === 0 && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">No steps yet. Add one to open a menu, fill a form or show a modal.</p>
+      )}
+
+      <ol className="flex flex-col gap-2">
+        {steps.map((step, index) => {
+          const fields = actionTypes.find(type => type.value === step.type)?.fields || [];
+          return (
+            <li
+              key={step.id}
+              className="flex flex-wrap items-center gap-2 p-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800"
+            >
+              <span className="w-6 text-right font-mono text-sm text-gray-500">{index + 1}.</span>
+              <select
+                className={inputClass}
+                value={step.type}
+                onChange={(e) => changeType(step.id, e.target.value)}
+                aria-label={`Step ${index + 1} action`}
+              >
+                {actionTypes.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+
+              {fields.map(field => {
+                if (field === 'checked') {
+                  return (
+                    <label key={field} className="flex items-center gap-1 text-sm">
+                      <input
+                        type="checkbox"
+                        checked={step.checked !== false}
+                        onChange={(e) => updateStep(step.id, 'checked', e.target.checked)}
+                        className="accent-yellow-400 w-4 h-4"
+                      />
+                      Checked
+                    </label>
+                  );
+                }
+                if (field === 'state') {
+                  return (
+                    <select
+                      key={field}
+                      className={inputClass}
+                      value={step.state || 'visible'}
+                      onChange={(e) => updateStep(step.id, 'state', e.target.value)}
+                      aria-label={`Step ${index + 1} state`}
+                    >
+                      <option value="visible">to appear</option>
+                      <option value="hidden">to disappear</option>
+                      <option value="attached">in the DOM</option>
+                      <option value="detached">removed from the DOM</option>
+                    </select>
+                  );
+                }
+                return (
+                  <input
+                    key={field}
+                    type={field === 'y' ? 'number' : 'text'}
+                    className={`${inputClass} ${field === 'selector' || field === 'url' ? 'flex-1 min-w-[10rem]' : 'w-36'}`}
+                    placeholder={fieldPlaceholders[field]}
+                    value={step[field] ?? ''}
+                    onChange={(e) => updateStep(step.id, field, e.target.value)}
+                    aria-label={`Step ${index + 1} ${field}`}
+                  />
+                );
+              })}
+
+              <input
+                type="number"
+                min="1"
+                className={`${inputClass} w-28`}
+                placeholder="Timeout ms"
+                value={step.timeout ?? ''}
+                onChange={(e) => updateStep(step.id, 'timeout', e.target.value)}
+                aria-label={`Step ${index + 1} timeout in milliseconds`}
+              />
+
+              <div className="flex items-center gap-1 ml-auto">
+                <button
+                  type="button"
+                  className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-40"
+                  onClick={() => moveStep(index, -1)}
+                  disabled={index === 0}
+                  aria-label={`Move step ${index + 1} up`}
+                >
+                  <ArrowUp className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  className="p-1 rounded hover:bg-gray-200 dark:hover:bg-gray-700 disabled:opacity-40"
+                  onClick={() => moveStep(index, 1)}
+                  disabled={index === steps.length - 1}
+                  aria-label={`Move step ${index + 1} down`}
+                >
+                  <ArrowDown className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  className="p-1 rounded text-red-600 hover:bg-red-100 dark:hover:bg-red-900/40"
+                  onClick={() => setSteps(prev => prev.filter(s => s.id !== step.id))}
+                  aria-label={`Remove step ${index + 1}`}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          className="px-3 py-1.5 rounded-lg border border-gray-300 dark:border-gray-700 text-sm font-medium flex items-center gap-1 hover:bg-gray-100 dark:hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+          onClick={() => setSteps(prev => [...prev, newStep()])}
+        >
+          <Plus className="h-4 w-4" /> Add step
+        </button>
+
+        <input
+          type="text"
+          className={`${inputClass} w-40`}
+          placeholder="Flow name"
+          value={flowName}
+          onChange={(e) => setFlowName(e.target.value)}
+          aria-label="Flow name"
+        />
+        <button
+          type="button"
+          className="px-3 py-1.5 rounded-lg border border-gray-300 dark:border-gray-700 text-sm font-medium flex items-center gap-1 hover:bg-gray-100 dark:hover:bg-gray-800 disabled:opacity-40 focus:outline-none focus:ring-2 focus:ring-yellow-400"
+          onClick={saveFlow}
+          disabled={!flowName.trim() || steps.length === 0}
+        >
+          <Save className="h-4 w-4" /> Save flow
+        </button>
+
+        {Object.keys(savedFlows).length > 0 && (
+          <>
+            <select
+              className={inputClass}
+              value={savedFlows[flowName.trim()] ? flowName.trim() : ''}
+              onChange={(e) => loadFlow(e.target.value)}
+              aria-label="Load a saved flow"
+            >
+              <option value="">Load saved flow…</option>
+              {Object.keys(savedFlows).map(name => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            {savedFlows[flowName.trim()] && (
+              <button
+                type="button"
+                className="text-sm text-red-600 underline"
+                onClick={deleteFlow}
+              >
+                Delete saved flow
+              </button>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import React from 'react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+/**
+ * ElementThumbnail
+ * Props:
+ *   screenshot: node.screenshot from a scan result ({ url, width, height, highlight })
+ *   alt: Text alternative describing the element
+ * Shows the cropped element screenshot with the element's box outlined; opens the
+ * full-size crop in a new tab.
+ */
+export default function ElementThumbnail({ screenshot, alt }) {
+  if (!screenshot?.url) return <span className="text-gray-400">-</span>;
+
+  const src = `${API_URL}${screenshot.url}`;
+  const { highlight, width, height } = screenshot;
+
+  return (
+    <a
+      href={src}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="relative inline-block w-28 border border-gray-300 dark:border-gray-600 rounded overflow-hidden bg-white focus:outline-none focus:ring-2 focus:ring-yellow-400"
+      title="Open full screenshot"
+    >
+      <img src={src} alt={alt} loading="lazy" className="block w-full h-auto" />
+      {highlight && width > 0 && height > 0 && (
+        <span
+          className="absolute border-2 border-red-600 pointer-events-none"
+          style={{
+            left: `${(highlight.x / width) * 100}%`,
+            top: `${(highlight.y / height) * 100}%`,
+            width: `${(highlight.width / width) * 100}%`,
+            height: `${(highlight.height / height) * 100}%`,
+          }}
+          aria-hidden="true"
+        />
+      )}
+    </a>
+  );
+}
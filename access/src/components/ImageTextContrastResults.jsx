@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import ColorSwatch from './ColorSwatch';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+/**
+ * ImageTextContrastResults
+ * Props:
+ *   imageTextContrast: result.imageTextContrast ({ summary, elements, error })
+ * Text over background images, gradients and media, checked by sampling the pixels behind it.
+ * Text fails when too much of its background is under the required contrast; the worst pixel
+ * is shown as extra detail. Failing texts are listed first; passing ones can be shown.
+ */
+export default function ImageTextContrastResults({ imageTextContrast }) {
+  const [showPassing, setShowPassing] = useState(false);
+
+  if (!imageTextContrast) return null;
+  if (imageTextContrast.error) {
+    return <div className="text-orange-700 text-sm p-4 bg-orange-50 rounded-xl shadow mb-8">{imageTextContrast.error}</div>;
+  }
+
+  const { summary, elements = [] } = imageTextContrast;
+  const allowed = Math.round((summary.maxFailingShare ?? 0) * 100);
+  const shown = showPassing ? elements : elements.filter(item => !item.passes);
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-800 rounded-xl p-6 shadow mb-8">
+      <h3 className="text-xl font-bold mb-2">Text Over Images</h3>
+      <p className="mb-4 text-gray-600 dark:text-gray-300">
+        {summary.checked} texts on images or gradients checked pixel by pixel,{' '}
+        <strong>{summary.failing}</strong> have more than {allowed}% of their background below the required contrast.
+        {summary.covered > 0 && ` ${summary.covered} covered by a sticky header or overlay were skipped.`}
+      </p>
+      {summary.checked > summary.failing && (
+        <label className="flex items-center gap-2 mb-4 cursor-pointer select-none text-sm font-medium">
+          <input
+            type="checkbox"
+            checked={showPassing}
+            onChange={(e) => setShowPassing(e.target.checked)}
+            className="accent-yellow-400 w-4 h-4"
+          />
+          Show passing texts too
+        </label>
+      )}
+
+      {shown.length === 0 ? (
+        <p className="text-sm text-green-700">No text over images falls below the required contrast.</p>
+      ) : (
+        <ul className="space-y-3">
+          {shown.map((item, idx) => (
+            <li key={idx} className="border rounded-lg p-3 bg-white dark:bg-gray-900 text-sm flex flex-col md:flex-row gap-3">
+              {item.screenshot && (
+                <img
+                  src={`${API_URL}${item.screenshot.url}`}
+                  alt={`Text "${item.text}" as shown over its background`}
+                  className="max-w-full md:max-w-xs max-h-32 object-contain self-start rounded border"
+                />
+              )}
+              <div className="flex flex-col gap-1 min-w-0">
+                <div className="font-semibold break-words">"{item.text}"</div>
+                <code className="bg-gray-200 dark:bg-gray-700 px-1 rounded break-all self-start">{item.selector}</code>
+                <div className={item.passes ? 'text-green-700' : 'text-red-600 font-semibold'}>
+                  {Math.round(item.failingShare * 100)}% of the background is under {item.required}:1{item.largeText ? ' (large text)' : ''}, {allowed}% allowed
+                </div>
+                <div className="text-xs text-gray-600 dark:text-gray-300">
+                  Worst-case contrast <span className="font-mono">{item.worstContrast}:1</span>
+                </div>
+                <div className="flex flex-wrap items-center gap-2 mt-1">
+                  <ColorSwatch hex={item.color} label="Text" />
+                  <span className="text-xs">worst on</span>
+                  <ColorSwatch hex={item.worstBackground} label="Background pixel" />
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { CheckCircle, AlertTriangle, EyeOff, HelpCircle } from 'lucide-react';
+
+const issueLabels = {
+  'focus-trap': 'Focus trap',
+  'unreachable': 'Not reachable by keyboard',
+  'missing-focus-indicator': 'No focus indicator',
+  'invisible-focus-indicator': 'Invisible focus indicator',
+  'obscured-focus': 'Hidden under sticky content',
+  'offscreen-focus': 'Focused off screen',
+};
+
+const severityStyles = {
+  critical: 'bg-red-100 text-red-700',
+  serious: 'bg-orange-100 text-orange-700',
+  moderate: 'bg-yellow-100 text-yellow-800',
+};
+
+function IndicatorIcon({ indicator }) {
+  if (indicator === 'visible') return <CheckCircle className="h-4 w-4 text-green-600" aria-label="Visible focus indicator" />;
+  if (indicator === 'unknown') return <HelpCircle className="h-4 w-4 text-gray-400" aria-label="Focus indicator not checked" />;
+  return <EyeOff className="h-4 w-4 text-orange-600" aria-label={`${indicator} focus indicator`} />;
+}
+
+/**
+ * KeyboardAuditResults
+ * Props:
+ *   keyboard: result.keyboard from the server's keyboard audit ({ summary, focusPath, issues, error })
+ */
+export default function KeyboardAuditResults({ keyboard }) {
+  const [showPath, setShowPath] = useState(false);
+
+  if (!keyboard) return null;
+  if (keyboard.error) {
+    return <div className="text-red-600 font-semibold p-4 bg-red-50 rounded-xl shadow mb-8">{keyboard.error}</div>;
+  }
+
+  const { summary, focusPath, issues } = keyboard;
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-800 rounded-xl p-6 shadow mb-8">
+      <h3 className="text-xl font-bold mb-2">Keyboard Navigation</h3>
+      <p className="mb-4 text-gray-600 dark:text-gray-300">
+        {summary.tabStops} tab stops.{' '}
+        {summary.trapped
+          ? 'Focus got trapped before reaching the end of the page.'
+          : summary.completedCycle
+            ? 'Tab reached the end of the page.'
+            : 'Stopped before the end of the page (tab stop limit reached).'}
+      </p>
+
+      {issues.length > 0 ? (
+        <ul className="space-y-2 mb-4">
+          {issues.map((issue, idx) => (
+            <li key={idx} className="border rounded-lg p-3 bg-white dark:bg-gray-900 text-sm flex items-start gap-2">
+              <AlertTriangle className="h-4 w-4 mt-0.5 text-orange-600 shrink-0" aria-hidden="true" />
+              <div className="flex-1">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="font-semibold">{issueLabels[issue.type] || issue.type}</span>
+                  <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${severityStyles[issue.severity] || severityStyles.moderate}`}>
+                    {issue.severity}
+                  </span>
+                </div>
+                <div className="text-gray-700 dark:text-gray-200">{issue.message}</div>
+                {issue.loop && (
+                  <div className="text-xs font-mono text-gray-500 dark:text-gray-400 break-all">Loop: {issue.loop.join(' → ')}</div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-green-700 font-semibold mb-4">No keyboard issues found.</p>
+      )}
+
+      <button
+        type="button"
+        className="text-sm font-semibold text-blue-600 underline"
+        aria-expanded={showPath}
+        onClick={() => setShowPath(prev => !prev)}
+      >
+        {showPath ? 'Hide focus order' : 'Show focus order'}
+      </button>
+      {showPath && (
+        <ol className="mt-3 space-y-1 text-sm">
+          {focusPath.map(stop => (
+            <li key={stop.index} className="flex items-start gap-2">
+              <span className="w-8 text-right font-mono text-gray-500">{stop.index}.</span>
+              <IndicatorIcon indicator={stop.focusIndicator} />
+              <span className="flex-1 break-all">
+                <code className="bg-gray-200 dark:bg-gray-700 px-1 rounded">{stop.selector}</code>
+                {stop.name && <span className="ml-2 text-gray-600 dark:text-gray-300">{stop.name}</span>}
+                {stop.obscuredBy && <span className="ml-2 text-xs text-orange-700">covered by {stop.obscuredBy}</span>}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import ViolationChanges from './ViolationChanges';
+
+/**
+ * MediaVariantResults
+ * Props:
+ *   variants: result.mediaVariants - one entry per emulated user preference
+ *             ({ variant, label, accessibility, brandColorContrast, comparedToDefault, error })
+ */
+export default function MediaVariantResults({ variants }) {
+  const [active, setActive] = useState(0);
+
+  if (!variants?.length) return null;
+
+  const current = variants[Math.min(active, variants.length - 1)];
+  const brandIssues = (current.brandColorContrast || []).filter(issue => issue.type !== 'error');
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-800 rounded-xl p-6 shadow mb-8">
+      <h3 className="text-xl font-bold mb-2">User Preference Variants</h3>
+      <p className="mb-4 text-gray-600 dark:text-gray-300">
+        The page re-rendered with each emulated preference, compared with the default rendering.
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-4" role="tablist" aria-label="Media variants">
+        {variants.map((variant, idx) => (
+          <button
+            key={variant.variant}
+            type="button"
+            role="tab"
+            aria-selected={idx === active}
+            onClick={() => setActive(idx)}
+            className={`px-3 py-1.5 rounded-full border text-sm font-medium transition focus:outline-none focus:ring-2 focus:ring-yellow-400 ${
+              idx === active
+                ? 'bg-yellow-400 border-yellow-400 text-black'
+                : 'bg-white dark:bg-gray-900 border-gray-300 dark:border-gray-700'
+            }`}
+          >
+            {variant.label}
+            {variant.comparedToDefault?.introduced.length > 0 && (
+              <span className="ml-2 inline-block px-1.5 rounded-full bg-red-600 text-white text-xs">
+                +{variant.comparedToDefault.introduced.length}
+              </span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      <div role="tabpanel">
+        {current.error ? (
+          <div className="text-red-600 font-semibold">{current.error}</div>
+        ) : (
+          <>
+            {current.accessibility && (
+              <p className="text-sm mb-4">
+                <strong>{current.accessibility.violations?.length ?? 0}</strong> rules with violations
+                {current.accessibility.error && <span className="text-red-600"> ({current.accessibility.error})</span>}
+              </p>
+            )}
+            {current.comparedToDefault && (
+              <>
+                <ViolationChanges
+                  title="New in this variant"
+                  items={current.comparedToDefault.introduced}
+                  emptyText="No new violations compared with the default rendering."
+                />
+                <ViolationChanges
+                  title="Fixed in this variant"
+                  items={current.comparedToDefault.resolved}
+                  emptyText="Every default violation is still present."
+                />
+              </>
+            )}
+            {current.brandColorContrast && (
+              <div>
+                <h4 className="font-semibold mb-2">Brand color issues ({brandIssues.length})</h4>
+                <ul className="space-y-1 text-sm">
+                  {brandIssues.map((issue, idx) => (
+                    <li key={idx}>{issue.message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import ColorSwatch from './ColorSwatch';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+const issueTypes = {
+  border: { label: 'Control border', color: '#dc2626' },
+  'focus-indicator': { label: 'Focus outline', color: '#9333ea' },
+  'svg-fill': { label: 'SVG fill', color: '#ea580c' },
+  'svg-stroke': { label: 'SVG stroke', color: '#ca8a04' },
+  icon: { label: 'Icon', color: '#2563eb' },
+};
+
+/**
+ * NonTextContrastResults
+ * Props:
+ *   nonTextContrast: result.nonTextContrast ({ summary, issues, screenshot, error })
+ * Borders, focus outlines, SVG graphics and icons under 3:1 against their background, kept
+ * apart from text contrast. Each issue offers the nearest passing shade and is outlined on
+ * the full-page screenshot.
+ */
+export default function NonTextContrastResults({ nonTextContrast }) {
+  const [active, setActive] = useState(null);
+
+  if (!nonTextContrast) return null;
+  if (nonTextContrast.error) {
+    return <div className="text-orange-700 text-sm p-4 bg-orange-50 rounded-xl shadow mb-8">{nonTextContrast.error}</div>;
+  }
+
+  const { summary, issues = [], screenshot } = nonTextContrast;
+  const toPercent = (value, total) => `${(value / total) * 100}%`;
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-800 rounded-xl p-6 shadow mb-8">
+      <h3 className="text-xl font-bold mb-2">Non-text Contrast</h3>
+      <p className="mb-4 text-gray-600 dark:text-gray-300">
+        {summary.checked} colors of UI components and graphics checked against their background,{' '}
+        <strong>{summary.issues}</strong> under 3:1.
+        {summary.skipped > 0 && ` ${summary.skipped} sit on an image or gradient and were skipped.`}
+      </p>
+
+      {issues.length === 0 ? (
+        <p className="text-sm text-green-700 mb-4">Every border, outline, graphic and icon reaches 3:1.</p>
+      ) : (
+        <ul className="space-y-2 mb-4 max-h-96 overflow-auto">
+          {issues.map((issue, idx) => {
+            const type = issueTypes[issue.type] || { label: issue.type, color: '#dc2626' };
+            return (
+              <li
+                key={idx}
+                className={`border rounded-lg p-3 text-sm ${active === idx ? 'bg-yellow-100 dark:bg-yellow-900/40' : 'bg-white dark:bg-gray-900'}`}
+              >
+                <button
+                  type="button"
+                  className="w-full text-left flex flex-wrap items-center gap-2 focus:outline-none focus:ring-2 focus:ring-yellow-400 rounded"
+                  aria-pressed={active === idx}
+                  onClick={() => setActive(active === idx ? null : idx)}
+                >
+                  <span className="inline-block px-2 py-0.5 rounded-full text-xs font-semibold text-white" style={{ backgroundColor: type.color }}>
+                    {type.label}
+                  </span>
+                  <code className="bg-gray-200 dark:bg-gray-700 px-1 rounded break-all">{issue.selector}</code>
+                  {issue.label && <span className="text-gray-600 dark:text-gray-300">"{issue.label}"</span>}
+                  <span className="font-mono">{issue.contrast}:1</span>
+                  {issue.count > 1 && (
+                    <span className="text-xs text-gray-500 dark:text-gray-400">({issue.count} parts)</span>
+                  )}
+                </button>
+                <div className="flex flex-wrap items-center gap-2 mt-2">
+                  <ColorSwatch hex={issue.color} label="Color" />
+                  <span className="text-xs">on</span>
+                  <ColorSwatch hex={issue.background} label="Background" />
+                  {issue.suggestion && (
+                    <>
+                      <span className="text-xs font-semibold">Try:</span>
+                      <ColorSwatch hex={issue.suggestion.hex} contrast={issue.suggestion.contrast} label="Passing shade" />
+                    </>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {screenshot && issues.length > 0 && (
+        <div className="w-full max-h-[40rem] overflow-auto rounded-xl border bg-gray-100 dark:bg-gray-800">
+          <div className="relative w-full">
+            <img src={`${API_URL}${screenshot.url}`} alt="Full-page screenshot with low-contrast components and graphics outlined" className="block w-full h-auto" />
+            {issues.map((issue, idx) => {
+              if (issue.y >= screenshot.height) return null;
+              const color = issueTypes[issue.type]?.color || '#dc2626';
+              return (
+                <span
+                  key={idx}
+                  className="absolute pointer-events-none"
+                  style={{
+                    left: toPercent(issue.x, screenshot.width),
+                    top: toPercent(issue.y, screenshot.height),
+                    width: toPercent(Math.max(issue.width, 2), screenshot.width),
+                    height: toPercent(Math.max(issue.height, 2), screenshot.height),
+                    outline: `${active === idx ? 3 : 2}px solid ${color}`,
+                    backgroundColor: active === idx ? `${color}55` : 'transparent',
+                    opacity: active === null || active === idx ? 1 : 0.4,
+                  }}
+                  title={`${issue.selector}: ${issue.contrast}:1`}
+                ></span>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
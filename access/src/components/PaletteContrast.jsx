@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { toast } from 'sonner';
+import { Loader2, Palette, Upload } from 'lucide-react';
+import ColorSwatch from './ColorSwatch';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+// Levels reported by the server's contrast matrix
+const levels = [
+  { value: 'aaNormal', label: 'AA normal text (4.5:1)' },
+  { value: 'aaLarge', label: 'AA large text (3:1)' },
+  { value: 'aaaNormal', label: 'AAA normal text (7:1)' },
+  { value: 'aaaLarge', label: 'AAA large text (4.5:1)' },
+  { value: 'nonText', label: 'Non-text UI (3:1)' },
+];
+
+// Short badge for a cell: the strictest level the pair passes
+function cellBadge(cell) {
+  if (cell.aaaNormal) return 'AAA';
+  if (cell.aaNormal) return 'AA';
+  if (cell.aaLarge) return 'AA Large / UI';
+  return 'Fail';
+}
+
+/**
+ * PaletteContrast
+ * Checks a palette before any page exists: paste hex colors or load a design-tokens JSON
+ * file, and get a foreground/background grid of contrast ratios from /api/palette/contrast.
+ */
+export default function PaletteContrast() {
+  const [colorsInput, setColorsInput] = useState('');
+  const [tokens, setTokens] = useState(null);
+  const [tokensName, setTokensName] = useState('');
+  const [level, setLevel] = useState('aaNormal');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleTokensFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      setTokens(JSON.parse(await file.text()));
+      setTokensName(file.name);
+    } catch {
+      toast.error(`${file.name} is not valid JSON`);
+      setTokens(null);
+      setTokensName('');
+    }
+  };
+
+  const checkPalette = async () => {
+    const colors = colorsInput
+      .split(/[\s,]+/)
+      .map(c => c.trim())
+      .filter(Boolean);
+    if (!tokens && colors.length < 2) {
+      toast.error('Enter at least two hex colors or load a tokens file');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const res = await fetch(`${API_URL}/api/palette/contrast`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(tokens ? { tokens } : { colors }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `Server error: ${res.status}`);
+      setResult(data);
+    } catch (error) {
+      toast.error(error.message || 'Failed to check palette');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <details className="w-full max-w-4xl bg-white dark:bg-gray-900 rounded-2xl shadow-xl border border-gray-200 dark:border-gray-800 p-6 mb-8">
+      <summary className="cursor-pointer text-xl font-bold flex items-center gap-2">
+        <Palette className="h-5 w-5" aria-hidden="true" /> Palette Contrast Checker
+      </summary>
+
+      <div className="flex flex-col gap-3 mt-4">
+        <label htmlFor="palette-colors" className="text-xs font-semibold text-gray-700 dark:text-gray-200">
+          Hex colors (comma or space separated)
+        </label>
+        <textarea
+          id="palette-colors"
+          className="w-full h-20 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 font-mono text-sm text-black dark:text-white focus:outline-none focus:ring-2 focus:ring-yellow-400 disabled:opacity-50"
+          placeholder="#1a73e8, #ffffff, #202124, #fbbc04"
+          value={colorsInput}
+          onChange={(e) => setColorsInput(e.target.value)}
+          disabled={Boolean(tokens)}
+        />
+
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="px-3 py-2 rounded-lg border border-dashed border-gray-400 dark:border-gray-600 cursor-pointer flex items-center gap-2 text-sm font-medium focus-within:ring-2 focus-within:ring-yellow-400">
+            <Upload className="h-4 w-4" aria-hidden="true" />
+            {tokensName || 'Or load a design-tokens JSON'}
+            <input type="file" accept=".json,application/json" className="sr-only" onChange={handleTokensFile} />
+          </label>
+          {tokens && (
+            <button
+              type="button"
+              className="text-sm text-blue-600 underline"
+              onClick={() => { setTokens(null); setTokensName(''); }}
+            >
+              Use hex colors instead
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={checkPalette}
+            disabled={loading}
+            className="ml-auto px-5 py-2 rounded-lg bg-yellow-400 hover:bg-yellow-500 text-black font-bold shadow transition focus:outline-none focus:ring-2 focus:ring-yellow-400 flex items-center gap-2 disabled:opacity-60"
+          >
+            {loading && <Loader2 className="h-4 w-4 animate-spin" aria-hidden="true" />}
+            Check palette
+          </button>
+        </div>
+
+        {result && (
+          <>
+            <div className="flex flex-wrap items-center gap-2 mt-2">
+              <label htmlFor="palette-level" className="text-xs font-semibold text-gray-700 dark:text-gray-200">
+                Highlight pairs passing
+              </label>
+              <select
+                id="palette-level"
+                className="px-3 py-1.5 rounded-lg border border-gray-300 dark:border-gray-700 bg-white dark:bg-gray-800 text-sm text-black dark:text-white focus:outline-none focus:ring-2 focus:ring-yellow-400"
+                value={level}
+                onChange={(e) => setLevel(e.target.value)}
+              >
+                {levels.map(l => <option key={l.value} value={l.value}>{l.label}</option>)}
+              </select>
+            </div>
+            {result.skipped?.length > 0 && (
+              <p className="text-xs text-orange-700">
+                Skipped tokens without a hex value: {result.skipped.join(', ')}
+              </p>
+            )}
+
+            <div className="overflow-auto max-h-[36rem] border rounded-lg">
+              <table className="text-xs border-collapse">
+                <caption className="sr-only">Contrast of each foreground color (rows) on each background color (columns)</caption>
+                <thead>
+                  <tr>
+                    <th scope="col" className="sticky top-0 left-0 z-20 bg-gray-100 dark:bg-gray-800 p-2 text-left">Text ↓ / Background →</th>
+                    {result.colors.map((bg, col) => (
+                      <th key={col} scope="col" className="sticky top-0 z-10 bg-gray-100 dark:bg-gray-800 p-2 font-normal">
+                        <ColorSwatch hex={bg.hex} label={bg.name !== bg.hex ? bg.name : undefined} />
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.matrix.map((row, rowIndex) => {
+                    const fg = result.colors[rowIndex];
+                    return (
+                      <tr key={rowIndex}>
+                        <th scope="row" className="sticky left-0 z-10 bg-gray-100 dark:bg-gray-800 p-2 font-normal text-left">
+                          <ColorSwatch hex={fg.hex} label={fg.name !== fg.hex ? fg.name : undefined} />
+                        </th>
+                        {row.map((cell, col) => {
+                          const bg = result.colors[col];
+                          if (col === rowIndex) {
+                            return <td key={col} className="p-2 text-center text-gray-400 border">-</td>;
+                          }
+                          return (
+                            <td
+                              key={col}
+                              className={`p-2 text-center border ${cell[level] ? '' : 'opacity-30'}`}
+                              style={{ backgroundColor: bg.hex, color: fg.hex }}
+                              title={`${fg.name} on ${bg.name}: ${cell.contrast}:1`}
+                            >
+                              <div className="text-base font-bold">Aa</div>
+                              <div className="font-mono">{cell.contrast}:1</div>
+                              <div>{cellBadge(cell)}</div>
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Faded cells fail the selected level. AA Large / UI pairs are fine for text of 24px (or 18.66px bold) and up, and for borders, icons and other UI graphics.
+            </p>
+          </>
+        )}
+      </div>
+    </details>
+  );
+}
@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import RenderingComparison from './RenderingComparison';
+
+/**
+ * ReflowResults
+ * Props:
+ *   reflow: result.reflow ({ before, conditions, error })
+ * One tab per re-rendering (320 CSS px wide, 200% text size) comparing it with the page as
+ * scanned.
+ */
+export default function ReflowResults({ reflow }) {
+  const [activeTab, setActiveTab] = useState(0);
+
+  if (!reflow) return null;
+  if (reflow.error) {
+    return <div className="text-orange-700 text-sm p-4 bg-orange-50 rounded-xl shadow mb-8">{reflow.error}</div>;
+  }
+  if (!reflow.conditions?.length) return null;
+
+  const current = reflow.conditions[Math.min(activeTab, reflow.conditions.length - 1)];
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-800 rounded-xl p-6 shadow mb-8">
+      <h3 className="text-xl font-bold mb-2">Reflow &amp; Text Resize</h3>
+      <p className="mb-4 text-gray-600 dark:text-gray-300">
+        Content that breaks when the page is zoomed to a 320px wide layout or its text is doubled in size.
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-4" role="tablist" aria-label="Reflow conditions">
+        {reflow.conditions.map((condition, idx) => (
+          <button
+            key={condition.type}
+            type="button"
+            role="tab"
+            aria-selected={condition === current}
+            onClick={() => setActiveTab(idx)}
+            className={`px-3 py-1.5 rounded-full border text-sm font-medium transition focus:outline-none focus:ring-2 focus:ring-yellow-400 ${
+              condition === current
+                ? 'bg-yellow-400 border-yellow-400 text-black'
+                : 'bg-white dark:bg-gray-900 border-gray-300 dark:border-gray-700'
+            }`}
+          >
+            {condition.label}
+            {condition.issueCount > 0 && (
+              <span className="ml-2 inline-block px-1.5 rounded-full bg-red-600 text-white text-xs">
+                {condition.issueCount}
+              </span>
+            )}
+          </button>
+        ))}
+      </div>
+
+      <div role="tabpanel">
+        {current.error ? (
+          <div className="text-red-600 font-semibold">{current.error}</div>
+        ) : (
+          <RenderingComparison
+            key={current.type}
+            before={reflow.before?.screenshot}
+            after={current.screenshot}
+            afterLabel={current.label}
+            issues={current.issues}
+            issueCount={current.issueCount}
+            horizontalScroll={current.horizontalScroll}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
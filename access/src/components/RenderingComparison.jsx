@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+const issueTypes = {
+  'horizontal-scroll': { label: 'Scrolls sideways', color: '#dc2626' },
+  clipped: { label: 'Clipped text', color: '#ea580c' },
+  overlap: { label: 'Overlapping text', color: '#9333ea' },
+  overflow: { label: 'Overflowing text', color: '#ca8a04' },
+  hidden: { label: 'Disappeared', color: '#2563eb' },
+};
+
+// Full-page screenshot with a box per issue; boxKey picks the issue's before or after box
+function OutlinedScreenshot({ title, screenshot, issues, boxKey, active }) {
+  if (!screenshot) return null;
+  const toPercent = (value, total) => `${(value / total) * 100}%`;
+
+  return (
+    <figure className="flex-1 min-w-0">
+      <figcaption className="text-sm font-semibold mb-1">{title}</figcaption>
+      <div className="max-h-[36rem] overflow-auto rounded-xl border bg-gray-100 dark:bg-gray-800">
+        <div className="relative w-full">
+          <img src={`${API_URL}${screenshot.url}`} alt={`Full-page screenshot: ${title}`} className="block w-full h-auto" />
+          {issues.map((issue, idx) => {
+            const box = issue[boxKey];
+            if (!box || box.y >= screenshot.height) return null;
+            const color = issueTypes[issue.type]?.color || '#dc2626';
+            return (
+              <span
+                key={idx}
+                className="absolute rounded-sm pointer-events-none"
+                style={{
+                  left: toPercent(box.x, screenshot.width),
+                  top: toPercent(box.y, screenshot.height),
+                  width: toPercent(box.width, screenshot.width),
+                  height: toPercent(box.height, screenshot.height),
+                  border: `${active === idx ? 3 : 2}px solid ${color}`,
+                  backgroundColor: active === idx ? `${color}33` : 'transparent',
+                  opacity: active === null || active === idx ? 1 : 0.4,
+                }}
+                title={issue.selector}
+              ></span>
+            );
+          })}
+        </div>
+      </div>
+      {screenshot.truncated && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Very long pages are cut off at the bottom.</p>
+      )}
+    </figure>
+  );
+}
+
+/**
+ * RenderingComparison
+ * Props:
+ *   before: Screenshot of the page as scanned ({ url, width, height, truncated })
+ *   after: Screenshot of the re-rendered page
+ *   afterLabel: What changed in the re-rendering, e.g. "320 CSS px wide"
+ *   issues: Issues found in the re-rendering ({ type, selector, message, before, after })
+ *   issueCount: Total issues found, when more were found than issues holds
+ *   horizontalScroll: { scrollWidth, clientWidth } when the re-rendered page scrolls sideways
+ * Lists what broke in a re-rendering of the page, with the original and re-rendered
+ * screenshots side by side. Picking an issue highlights it in both.
+ */
+export default function RenderingComparison({ before, after, afterLabel, issues = [], issueCount, horizontalScroll }) {
+  const [activeIssue, setActiveIssue] = useState(null);
+
+  return (
+    <>
+      {horizontalScroll && (
+        <p className="text-sm text-red-600 font-semibold mb-2">
+          The page scrolls sideways: {horizontalScroll.scrollWidth}px of content in a {horizontalScroll.clientWidth}px wide viewport.
+        </p>
+      )}
+      {issues.length === 0 ? (
+        <p className="text-sm text-green-700 mb-4">Nothing broke with {afterLabel}.</p>
+      ) : (
+        <ul className="space-y-1 mb-4 max-h-64 overflow-auto">
+          {issues.map((issue, idx) => {
+            const type = issueTypes[issue.type] || { label: issue.type, color: '#dc2626' };
+            return (
+              <li key={idx}>
+                <button
+                  type="button"
+                  className={`w-full text-left flex flex-wrap items-center gap-2 px-2 py-1 rounded text-sm focus:outline-none focus:ring-2 focus:ring-yellow-400 ${
+                    activeIssue === idx ? 'bg-yellow-100 dark:bg-yellow-900/40' : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+                  }`}
+                  aria-pressed={activeIssue === idx}
+                  onClick={() => setActiveIssue(activeIssue === idx ? null : idx)}
+                >
+                  <span className="inline-block px-2 py-0.5 rounded-full text-xs font-semibold text-white" style={{ backgroundColor: type.color }}>
+                    {type.label}
+                  </span>
+                  <code className="bg-gray-200 dark:bg-gray-700 px-1 rounded break-all">{issue.selector}</code>
+                  <span>{issue.message}</span>
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      {issueCount > issues.length && (
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-4">
+          Showing the first {issues.length} of {issueCount} issues.
+        </p>
+      )}
+
+      <div className="flex flex-col md:flex-row gap-4">
+        <OutlinedScreenshot title="Before" screenshot={before} issues={issues} boxKey="before" active={activeIssue} />
+        <OutlinedScreenshot title={`After: ${afterLabel}`} screenshot={after} issues={issues} boxKey="after" active={activeIssue} />
+      </div>
+    </>
+  );
+}
@@ -1,9 +1,23 @@
 
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState } from 'react';
 import { toast } from 'sonner';
 import html2pdf from 'html2pdf.js';
 
-import VisualHighlightOverlay from './VisualHighlightOverlay';
+import ScanProgress from './ScanProgress';
+import ViewportComparison from './ViewportComparison';
+import MediaVariantResults from './MediaVariantResults';
+import KeyboardAuditResults from './KeyboardAuditResults';
+import DynamicContentResults from './DynamicContentResults';
+import ColorVisionResults from './ColorVisionResults';
+import ReflowResults from './ReflowResults';
+import TextSpacingResults from './TextSpacingResults';
+import TargetSizeResults from './TargetSizeResults';
+import NonTextContrastResults from './NonTextContrastResults';
+import ImageTextContrastResults from './ImageTextContrastResults';
+import ScreenReaderPreview from './ScreenReaderPreview';
+import ElementThumbnail from './ElementThumbnail';
+import AnnotatedScreenshot from './AnnotatedScreenshot';
+import ColorSwatch from './ColorSwatch';
 
 // Returns a promise that resolves to the short link
 async function getShareableLink(result, apiUrl) {
@@ -121,14 +135,22 @@ export default function ResultsDashboard({ result }) {
   const [search, setSearch] = useState('');
   const [shareLink, setShareLink] = useState('');
   const [generating, setGenerating] = useState(false);
-  const [iframeLoaded, setIframeLoaded] = useState(false);
-  const [overlayAllowed, setOverlayAllowed] = useState(true);
-  const iframeRef = useRef(null);
+  const [focusRequest, setFocusRequest] = useState(null);
 
-  if (result.error) return <div className="text-red-600 font-semibold p-4 bg-red-50 rounded-xl shadow">{result.error}</div>;
+  if (result.error) return (
+    <div className="w-full max-w-4xl mt-8">
+      <div className="text-red-600 font-semibold p-4 bg-red-50 rounded-xl shadow mb-6">{result.error}</div>
+      <ScanProgress stages={result.stages} title="Scan Steps" />
+    </div>
+  );
   const violations = result.accessibility?.violations || [];
+  const incomplete = result.accessibility?.incomplete || [];
+  const coverage = result.accessibility?.coverage;
   const brandColorIssues = result.brandColorContrast || [];
-  if (!violations.length && !brandColorIssues.length) return <div className="text-green-700 font-semibold p-4 bg-green-50 rounded-xl shadow">No accessibility issues found! 🎉</div>;
+  const viewportIssues = result.viewportComparison?.rules?.length || 0;
+  const variantIssues = (result.mediaVariants || []).reduce((sum, v) => sum + (v.accessibility?.violations?.length || 0), 0);
+  const keyboardIssues = result.keyboard?.issues?.length || (result.keyboard?.error ? 1 : 0);
+  if (!violations.length && !incomplete.length && !brandColorIssues.length && !viewportIssues && !variantIssues && !keyboardIssues && !result.accessibilityTree && !result.dynamicContent?.length && !result.colorVision && !result.reflow && !result.textSpacing && !result.targetSize && !result.nonTextContrast && !result.imageTextContrast) return <div className="text-green-700 font-semibold p-4 bg-green-50 rounded-xl shadow">No accessibility issues found! 🎉</div>;
   const groups = groupBySeverity(violations);
   // Filtering and searching with improved null safety
   const filteredGroups = Object.fromEntries(
@@ -192,9 +214,11 @@ export default function ResultsDashboard({ result }) {
         <p><strong>URL:</strong> ${result.url}</p>
         <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
         <p><strong>Score:</strong> ${score}/100 (${badgeText})</p>
+        ${result.accessibility?.configuration ? `<p><strong>Rule set:</strong> ${result.accessibility.configuration.label}</p>` : ''}
         
         <h2 style="margin-top: 20px;">Issues Summary</h2>
         <p>Total issues found: ${total}</p>
+        ${incomplete.length ? `<p>Checks needing manual review: ${incomplete.length}</p>` : ''}
         
         <table style="width: 100%; border-collapse: collapse; margin-top: 20px;">
           <thead>
@@ -238,43 +262,29 @@ export default function ResultsDashboard({ result }) {
     toast.success('PDF report downloaded successfully');
   };
 
-  // Check overlay permission after iframe loads
-  const handleIframeLoad = () => {
-    setIframeLoaded(true);
-    try {
-      // Try to access contentDocument to check for cross-origin
-      const doc = iframeRef.current?.contentDocument;
-      if (!doc) throw new Error('No doc');
-      setOverlayAllowed(true);
-    } catch {
-      setOverlayAllowed(false);
-    }
-  };
-
   return (
     <section className="w-full max-w-4xl bg-white dark:bg-gray-900 rounded-2xl shadow-2xl p-10 mt-8 border border-gray-200 dark:border-gray-800 animate-fade-in">
-      {/* Progress Bar */}
-      <div className="mb-8">
-        <div className="flex items-center justify-between mb-2">
-          <h2 className="text-2xl font-extrabold text-primary flex items-center gap-2">
-            <span className="inline-block w-2 h-8 bg-yellow-400 rounded-l"></span>
-            Analysis Progress
-          </h2>
-          <span className="text-lg font-bold text-gray-700 dark:text-gray-200">{Math.max(25, Math.min(100, 100 - total * 2))}%</span>
-        </div>
-        <div className="w-full h-2 bg-gray-200 dark:bg-gray-800 rounded-full overflow-hidden">
-          <div className="h-full bg-yellow-400 transition-all" style={{ width: `${Math.max(25, Math.min(100, 100 - total * 2))}%` }}></div>
-        </div>
-      </div>
+      {/* Scan stages recorded by the server */}
+      <ScanProgress stages={result.stages} />
 
       {/* Accessibility Issues Table */}
       <div className="bg-gray-50 dark:bg-gray-800 rounded-xl p-6 shadow mb-8">
         <h3 className="text-xl font-bold mb-2">Accessibility Issues</h3>
-        <p className="mb-4 text-gray-600 dark:text-gray-300">Here's a breakdown of the issues we found on your site.</p>
+        <p className="mb-4 text-gray-600 dark:text-gray-300">
+          Here's a breakdown of the issues we found on your site{result.viewport && result.viewports ? ` in the ${result.viewport.name} viewport` : ''}.
+          {result.accessibility?.configuration && (
+            <span className="block text-sm mt-1">
+              Checked against <strong>{result.accessibility.configuration.label}</strong>
+              {result.accessibility.configuration.enableRules?.length > 0 && ` · also ran: ${result.accessibility.configuration.enableRules.join(', ')}`}
+              {result.accessibility.configuration.disableRules?.length > 0 && ` · skipped: ${result.accessibility.configuration.disableRules.join(', ')}`}
+            </span>
+          )}
+        </p>
         <div className="overflow-x-auto">
           <table className="min-w-full text-left text-base">
             <thead>
               <tr className="border-b border-gray-200 dark:border-gray-700">
+                <th className="py-2 px-4 font-semibold text-gray-700 dark:text-gray-200">Element</th>
                 <th className="py-2 px-4 font-semibold text-gray-700 dark:text-gray-200">Issue</th>
                 <th className="py-2 px-4 font-semibold text-gray-700 dark:text-gray-200">Description</th>
                 <th className="py-2 px-4 font-semibold text-gray-700 dark:text-gray-200">Severity</th>
@@ -284,6 +294,21 @@ export default function ResultsDashboard({ result }) {
             <tbody>
               {violations.map((issue, idx) => (
                 <tr key={idx} className="border-b border-gray-100 dark:border-gray-700 hover:bg-yellow-50 dark:hover:bg-yellow-900/20 transition">
+                  <td className="py-2 px-4">
+                    <ElementThumbnail
+                      screenshot={issue.nodes.find(node => node.screenshot)?.screenshot}
+                      alt={`Element failing: ${issue.help}`}
+                    />
+                    {result.pageScreenshot?.boxes?.some(box => box.ruleId === issue.id) && (
+                      <button
+                        type="button"
+                        className="block mt-1 text-xs text-blue-600 underline"
+                        onClick={() => setFocusRequest({ ruleId: issue.id })}
+                      >
+                        Show on page
+                      </button>
+                    )}
+                  </td>
                   <td className="py-2 px-4 font-bold text-gray-900 dark:text-white">{issue.help}</td>
                   <td className="py-2 px-4 text-gray-700 dark:text-gray-200">{issue.description}</td>
                   <td className="py-2 px-4">
@@ -310,6 +335,104 @@ export default function ResultsDashboard({ result }) {
         </div>
       </div>
 
+      {/* Per-viewport results */}
+      <ViewportComparison viewports={result.viewports} comparison={result.viewportComparison} />
+
+      {/* Keyboard navigation audit */}
+      <KeyboardAuditResults keyboard={result.keyboard} />
+
+      {/* Axe results after each scripted interaction */}
+      <DynamicContentResults steps={result.dynamicContent} />
+
+      {/* Screen reader reading order and rotor lists */}
+      <ScreenReaderPreview tree={result.accessibilityTree} />
+
+      {/* 320px reflow and 200% text size */}
+      <ReflowResults reflow={result.reflow} />
+
+      {/* WCAG 1.4.12 text spacing overrides */}
+      <TextSpacingResults textSpacing={result.textSpacing} />
+
+      {/* Undersized click and tap targets */}
+      <TargetSizeResults targetSize={result.targetSize} />
+
+      {/* Dark mode, forced colors and other emulated preferences */}
+      <MediaVariantResults variants={result.mediaVariants} />
+
+      {/* Needs Manual Review (axe incomplete results) */}
+      {incomplete.length > 0 && (
+        <div className="bg-purple-50 dark:bg-purple-900/20 rounded-xl p-6 shadow mb-8">
+          <h3 className="text-xl font-bold mb-2 text-purple-900 dark:text-purple-100">Needs Manual Review</h3>
+          <p className="mb-4 text-gray-600 dark:text-gray-300">
+            These checks could not be decided automatically, for example text over background images. Verify each one by hand.
+          </p>
+          <ul className="space-y-3">
+            {incomplete.map((item, idx) => (
+              <li key={idx} className="border rounded-lg p-4 bg-white/70 dark:bg-gray-800 shadow-sm">
+                <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+                  <span className="font-semibold text-gray-900 dark:text-white">{item.help}</span>
+                  <span className="text-xs text-gray-500 dark:text-gray-400">
+                    {item.nodes?.length || 0} element{item.nodes?.length === 1 ? '' : 's'}
+                  </span>
+                </div>
+                <div className="text-sm text-gray-700 dark:text-gray-200">{item.description}</div>
+                {item.nodes?.[0]?.any?.[0]?.message && (
+                  <div className="text-xs mt-1"><span className="font-semibold">Why:</span> {item.nodes[0].any[0].message}</div>
+                )}
+                {item.nodes?.[0]?.target && (
+                  <div className="text-xs mt-1"><span className="font-semibold">Selector:</span> <code className="bg-gray-200 dark:bg-gray-700 px-1 rounded">{item.nodes[0].target.join(' ')}</code></div>
+                )}
+                {item.helpUrl && (
+                  <a href={item.helpUrl} className="text-xs underline text-blue-600" target="_blank" rel="noopener noreferrer">How to check</a>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Rule Coverage */}
+      {coverage?.rules?.length > 0 && (
+        <details className="bg-gray-50 dark:bg-gray-800 rounded-xl p-6 shadow mb-8">
+          <summary className="text-xl font-bold cursor-pointer">
+            Rule Coverage
+            <span className="ml-2 text-sm font-normal text-gray-600 dark:text-gray-300">
+              {coverage.totals.rules} rules: {coverage.totals.passes} passed, {coverage.totals.violations} failed, {coverage.totals.incomplete} need review, {coverage.totals.inapplicable} not applicable
+            </span>
+          </summary>
+          <p className="mt-4 text-sm text-gray-600 dark:text-gray-300">
+            The totals above count rules. The columns below count the elements each rule checked.
+          </p>
+          <div className="overflow-x-auto mt-2">
+            <table className="min-w-full text-left text-sm">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700">
+                  <th className="py-2 px-3 font-semibold text-gray-700 dark:text-gray-200">Rule</th>
+                  <th className="py-2 px-3 font-semibold text-gray-700 dark:text-gray-200 text-right">Elements Passed</th>
+                  <th className="py-2 px-3 font-semibold text-gray-700 dark:text-gray-200 text-right">Elements Failed</th>
+                  <th className="py-2 px-3 font-semibold text-gray-700 dark:text-gray-200 text-right">Elements to Review</th>
+                  <th className="py-2 px-3 font-semibold text-gray-700 dark:text-gray-200">Applicable</th>
+                </tr>
+              </thead>
+              <tbody>
+                {coverage.rules.map(rule => (
+                  <tr key={rule.id} className="border-b border-gray-100 dark:border-gray-700">
+                    <td className="py-1 px-3">
+                      <span className="font-mono">{rule.id}</span>
+                      <span className="block text-xs text-gray-500 dark:text-gray-400">{rule.help}</span>
+                    </td>
+                    <td className="py-1 px-3 text-right">{rule.passes}</td>
+                    <td className={`py-1 px-3 text-right ${rule.violations > 0 ? 'text-red-600 font-semibold' : ''}`}>{rule.violations}</td>
+                    <td className={`py-1 px-3 text-right ${rule.incomplete > 0 ? 'text-purple-700 dark:text-purple-300 font-semibold' : ''}`}>{rule.incomplete}</td>
+                    <td className="py-1 px-3">{rule.inapplicable ? 'No matching elements' : 'Yes'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </details>
+      )}
+
       {/* Download/Share Buttons */}
       <div className="flex flex-wrap justify-end gap-3 mb-8">
         <button
@@ -333,29 +456,8 @@ export default function ResultsDashboard({ result }) {
         </button>
       </div>
 
-      {/* Live Preview */}
-      <div className="mb-8">
-        <h3 className="text-lg font-semibold mb-2">Live Preview</h3>
-        <div className="w-full aspect-video rounded-xl border overflow-hidden bg-gray-100 dark:bg-gray-800 flex items-center justify-center relative">
-          <iframe
-            ref={iframeRef}
-            src={result.url}
-            title="Website Preview"
-            className="w-full h-full border-0"
-            sandbox="allow-scripts allow-same-origin"
-            onLoad={handleIframeLoad}
-          />
-          {/* Visual highlight overlay for accessibility issues */}
-          {iframeLoaded && overlayAllowed && (
-            <VisualHighlightOverlay issues={violations} iframeRef={iframeRef} />
-          )}
-          {iframeLoaded && !overlayAllowed && (
-            <div className="absolute top-2 left-2 bg-yellow-200 text-yellow-900 px-3 py-1 rounded shadow text-xs z-50">
-              Visual highlighting is not available for cross-origin sites.
-            </div>
-          )}
-        </div>
-      </div>
+      {/* Full-page screenshot with violation boxes */}
+      <AnnotatedScreenshot screenshot={result.pageScreenshot} focusRequest={focusRequest} />
 
       {/* AI Improvement Suggestions */}
       {result.improvementSuggestions && (
@@ -380,12 +482,29 @@ export default function ResultsDashboard({ result }) {
             {brandColorIssues.map((issue, idx) => (
               <li key={idx} className="border rounded-lg p-4 bg-yellow-100/60 dark:bg-yellow-900/40 text-yellow-900 dark:text-yellow-100 shadow-sm">
                 <div className="font-semibold mb-1">{issue.type === 'contrast' ? 'Contrast Issue' : 'Usage Issue'}</div>
-                <div className="text-xs mb-1">{issue.msg}</div>
+                <div className="text-xs mb-1">{issue.message || issue.msg}</div>
                 {issue.type === 'contrast' && (
                   <>
-                    <div className="text-xs">Element: <code className="bg-gray-200 dark:bg-gray-700 px-1 rounded">{issue.element}</code></div>
+                    <div className="text-xs">Element: <code className="bg-gray-200 dark:bg-gray-700 px-1 rounded break-all">{issue.selector || issue.element}</code></div>
                     <div className="text-xs">Color: <span style={{color: issue.color}}>{issue.color}</span> on <span style={{background: issue.background, color: '#222', padding: '0 4px', borderRadius: '2px'}}>{issue.background}</span></div>
-                    <div className="text-xs">Contrast Ratio: <span className="font-mono">{issue.contrast.toFixed(2)}</span></div>
+                    <div className="text-xs">
+                      Contrast Ratio: <span className="font-mono">{issue.contrast.toFixed(2)}</span>
+                      {issue.required && <> (needs {issue.required}:1{issue.largeText ? ', large text' : ''})</>}
+                    </div>
+                    {(issue.suggestions?.color || issue.suggestions?.background || issue.suggestions?.textColor) && (
+                      <div className="flex flex-wrap items-center gap-2 mt-2">
+                        <span className="text-xs font-semibold">Try:</span>
+                        {issue.suggestions.color && (
+                          <ColorSwatch hex={issue.suggestions.color.hex} contrast={issue.suggestions.color.contrast} label="Brand text shade" />
+                        )}
+                        {issue.suggestions.background && (
+                          <ColorSwatch hex={issue.suggestions.background.hex} contrast={issue.suggestions.background.contrast} label="Brand background shade" />
+                        )}
+                        {issue.suggestions.textColor && (
+                          <ColorSwatch hex={issue.suggestions.textColor.hex} contrast={issue.suggestions.textColor.contrast} label="Text on this brand color" />
+                        )}
+                      </div>
+                    )}
                   </>
                 )}
                 {issue.type === 'usage' && (
@@ -397,6 +516,15 @@ export default function ResultsDashboard({ result }) {
         </div>
       )}
 
+      {/* Borders, focus outlines, SVG graphics and icons (WCAG 1.4.11) */}
+      <NonTextContrastResults nonTextContrast={result.nonTextContrast} />
+
+      {/* Text on background images and gradients, by pixel sampling */}
+      <ImageTextContrastResults imageTextContrast={result.imageTextContrast} />
+
+      {/* Screenshots under simulated color vision deficiencies */}
+      <ColorVisionResults colorVision={result.colorVision} />
+
       {/* Detailed Issues List (old, hidden for new UI) */}
       {/*
       <h3 className="text-xl font-bold mt-8 mb-4">Detailed Issues List</h3>
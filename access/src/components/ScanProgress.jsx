@@ -0,0 +1,72 @@
+import React from 'react';
+import { CheckCircle, XCircle, Loader2, Circle } from 'lucide-react';
+
+const statusStyles = {
+  pending: 'text-gray-400',
+  running: 'text-blue-600 dark:text-blue-400',
+  done: 'text-green-700 dark:text-green-400',
+  failed: 'text-red-600 dark:text-red-400',
+};
+
+function StatusIcon({ status }) {
+  if (status === 'done') return <CheckCircle className="h-4 w-4 shrink-0" aria-hidden="true" />;
+  if (status === 'failed') return <XCircle className="h-4 w-4 shrink-0" aria-hidden="true" />;
+  if (status === 'running') return <Loader2 className="h-4 w-4 shrink-0 animate-spin" aria-hidden="true" />;
+  return <Circle className="h-4 w-4 shrink-0" aria-hidden="true" />;
+}
+
+/**
+ * ScanProgress
+ * Props:
+ *   stages: Array of scan stages ({ stage, label, status, message, duration })
+ *           streamed from /api/scan/jobs/:id/events or stored on the scan result
+ *   title: Optional heading text
+ */
+export default function ScanProgress({ stages, title = 'Analysis Progress' }) {
+  if (!stages?.length) return null;
+
+  const finished = stages.filter(s => s.status === 'done' || s.status === 'failed').length;
+  const failed = stages.filter(s => s.status === 'failed').length;
+  const percent = Math.round((finished / stages.length) * 100);
+
+  return (
+    <div className="mb-8 w-full">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-2xl font-extrabold text-primary flex items-center gap-2">
+          <span className="inline-block w-2 h-8 bg-yellow-400 rounded-l"></span>
+          {title}
+        </h2>
+        <span className="text-lg font-bold text-gray-700 dark:text-gray-200">{percent}%</span>
+      </div>
+      <div
+        className="w-full h-2 bg-gray-200 dark:bg-gray-800 rounded-full overflow-hidden"
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={percent}
+        aria-label={title}
+      >
+        <div
+          className={`h-full transition-all ${failed > 0 ? 'bg-orange-500' : 'bg-yellow-400'}`}
+          style={{ width: `${percent}%` }}
+        ></div>
+      </div>
+      <ol className="mt-4 space-y-1" aria-live="polite">
+        {stages.map(stage => (
+          <li key={stage.stage} className={`flex items-start gap-2 text-sm ${statusStyles[stage.status] || statusStyles.pending}`}>
+            <span className="mt-0.5"><StatusIcon status={stage.status} /></span>
+            <span className="flex-1">
+              <span className="font-medium">{stage.label}</span>
+              {stage.message && (
+                <span className="block text-xs opacity-80 break-words">{stage.message}</span>
+              )}
+            </span>
+            {stage.duration != null && (
+              <span className="text-xs text-gray-500 dark:text-gray-400">{(stage.duration / 1000).toFixed(1)}s</span>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import React, { useState, useRef } from 'react';
+
+const views = [
+  { id: 'reading', label: 'Reading Order' },
+  { id: 'landmarks', label: 'Landmarks' },
+  { id: 'headings', label: 'Headings' },
+];
+
+// What a screen reader would roughly announce, e.g. "Search, button, expanded: false"
+function announce(entry) {
+  if (entry.role === 'text') return entry.name;
+
+  const parts = [];
+  if (entry.name) parts.push(entry.name);
+  parts.push(entry.role === 'heading' && entry.level ? `heading level ${entry.level}` : entry.role);
+  if (entry.value) parts.push(entry.value);
+  Object.entries(entry.states || {}).forEach(([state, value]) => {
+    parts.push(value === true ? state : `${state}: ${value}`);
+  });
+  return parts.join(', ');
+}
+
+/**
+ * ScreenReaderPreview
+ * Props:
+ *   tree: result.accessibilityTree ({ readingOrder, landmarks, headings, truncated, error })
+ * Shows the page linearized in screen-reader reading order, plus rotor-style landmark
+ * and heading lists that jump to their entry in the reading order.
+ */
+export default function ScreenReaderPreview({ tree }) {
+  const [view, setView] = useState('reading');
+  const [highlighted, setHighlighted] = useState(null);
+  const itemRefs = useRef({});
+
+  if (!tree) return null;
+  if (tree.error) {
+    return <div className="text-red-600 font-semibold p-4 bg-red-50 rounded-xl shadow mb-8">{tree.error}</div>;
+  }
+
+  const jumpTo = (index) => {
+    setView('reading');
+    setHighlighted(index);
+    // Wait for the reading order list to render before scrolling to the entry
+    setTimeout(() => itemRefs.current[index]?.scrollIntoView({ block: 'center', behavior: 'smooth' }), 0);
+  };
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-800 rounded-xl p-6 shadow mb-8">
+      <h3 className="text-xl font-bold mb-2">Screen Reader Preview</h3>
+      <p className="mb-4 text-gray-600 dark:text-gray-300">
+        What a screen reader would announce, in reading order: accessible name, role and state.
+        {tree.truncated && ' Only the first part of this large page is shown.'}
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-4" role="tablist" aria-label="Screen reader views">
+        {views.map(v => (
+          <button
+            key={v.id}
+            type="button"
+            role="tab"
+            aria-selected={view === v.id}
+            onClick={() => setView(v.id)}
+            className={`px-3 py-1.5 rounded-full border text-sm font-medium transition focus:outline-none focus:ring-2 focus:ring-yellow-400 ${
+              view === v.id
+                ? 'bg-yellow-400 border-yellow-400 text-black'
+                : 'bg-white dark:bg-gray-900 border-gray-300 dark:border-gray-700'
+            }`}
+          >
+            {v.label}
+            {v.id === 'landmarks' && ` (${tree.landmarks.length})`}
+            {v.id === 'headings' && ` (${tree.headings.length})`}
+          </button>
+        ))}
+      </div>
+
+      <div role="tabpanel" className="max-h-[32rem] overflow-y-auto rounded-lg bg-white dark:bg-gray-900 border border-gray-200 dark:border-gray-700 p-3">
+        {view === 'reading' && (
+          <ol className="text-sm font-mono space-y-0.5">
+            {tree.readingOrder.map((entry, index) => (
+              <li
+                key={index}
+                ref={el => { itemRefs.current[index] = el; }}
+                className={`rounded px-1 ${highlighted === index ? 'bg-yellow-200 dark:bg-yellow-900/60' : ''} ${entry.role === 'text' ? 'text-gray-600 dark:text-gray-300' : 'text-gray-900 dark:text-white'}`}
+                style={{ paddingLeft: `${Math.min(entry.depth, 12) * 0.75}rem` }}
+              >
+                {announce(entry)}
+              </li>
+            ))}
+          </ol>
+        )}
+
+        {view === 'landmarks' && (
+          tree.landmarks.length === 0 ? (
+            <p className="text-sm text-orange-700">No landmarks found. Screen reader users cannot jump between page regions.</p>
+          ) : (
+            <ul className="text-sm space-y-1">
+              {tree.landmarks.map(landmark => (
+                <li key={landmark.index}>
+                  <button type="button" className="underline text-blue-600 text-left" onClick={() => jumpTo(landmark.index)}>
+                    {landmark.role}{landmark.name ? `: ${landmark.name}` : ''}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )
+        )}
+
+        {view === 'headings' && (
+          tree.headings.length === 0 ? (
+            <p className="text-sm text-orange-700">No headings found. Screen reader users cannot skim the page structure.</p>
+          ) : (
+            <ul className="text-sm space-y-1">
+              {tree.headings.map(heading => (
+                <li key={heading.index} style={{ paddingLeft: `${((heading.level || 1) - 1) * 1}rem` }}>
+                  <button type="button" className="underline text-blue-600 text-left" onClick={() => jumpTo(heading.index)}>
+                    <span className="font-mono text-xs text-gray-500 mr-2">H{heading.level || '?'}</span>
+                    {heading.name || <em className="text-orange-700">(empty heading)</em>}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )
+        )}
+      </div>
+    </div>
+  );
+}
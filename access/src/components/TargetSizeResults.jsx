@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
+
+const levelColors = {
+  AA: '#dc2626',
+  AAA: '#eab308',
+};
+
+/**
+ * TargetSizeResults
+ * Props:
+ *   targetSize: result.targetSize ({ level, summary, issues, screenshot, error })
+ * Lists click and tap targets that are too small, with their measured size, and outlines
+ * them on the full-page screenshot. Picking a target in the list highlights it.
+ */
+export default function TargetSizeResults({ targetSize }) {
+  const [active, setActive] = useState(null);
+
+  if (!targetSize) return null;
+  if (targetSize.error) {
+    return <div className="text-orange-700 text-sm p-4 bg-orange-50 rounded-xl shadow mb-8">{targetSize.error}</div>;
+  }
+
+  const { summary, issues = [], screenshot } = targetSize;
+  const toPercent = (value, total) => `${(value / total) * 100}%`;
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-800 rounded-xl p-6 shadow mb-8">
+      <h3 className="text-xl font-bold mb-2">Target Size</h3>
+      <p className="mb-4 text-gray-600 dark:text-gray-300">
+        {summary.targets} targets measured, {summary.exempt} exempt as inline links or browser-styled controls.{' '}
+        <strong>{summary.belowMinimum}</strong> are under 24x24px without enough spacing (AA)
+        {targetSize.level === 'aaa' && <>, <strong>{summary.belowEnhanced}</strong> more are under 44x44px (AAA)</>}.
+      </p>
+
+      {issues.length === 0 ? (
+        <p className="text-sm text-green-700 mb-4">Every target is large enough.</p>
+      ) : (
+        <ul className="space-y-1 mb-4 max-h-64 overflow-auto">
+          {issues.map((issue, idx) => (
+            <li key={idx}>
+              <button
+                type="button"
+                className={`w-full text-left flex flex-wrap items-center gap-2 px-2 py-1 rounded text-sm focus:outline-none focus:ring-2 focus:ring-yellow-400 ${
+                  active === idx ? 'bg-yellow-100 dark:bg-yellow-900/40' : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+                }`}
+                aria-pressed={active === idx}
+                onClick={() => setActive(active === idx ? null : idx)}
+              >
+                <span className="inline-block px-2 py-0.5 rounded-full text-xs font-semibold text-white" style={{ backgroundColor: levelColors[issue.level] }}>
+                  {issue.level}
+                </span>
+                <span className="font-mono">{issue.width}x{issue.height}px</span>
+                <code className="bg-gray-200 dark:bg-gray-700 px-1 rounded break-all">{issue.selector}</code>
+                {issue.label && <span className="text-gray-600 dark:text-gray-300">"{issue.label}"</span>}
+                {issue.conflictsWith && (
+                  <span className="text-xs text-gray-500 dark:text-gray-400">too close to {issue.conflictsWith}</span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {screenshot && issues.length > 0 && (
+        <div className="w-full max-h-[40rem] overflow-auto rounded-xl border bg-gray-100 dark:bg-gray-800">
+          <div className="relative w-full">
+            <img src={`${API_URL}${screenshot.url}`} alt="Full-page screenshot with undersized targets outlined" className="block w-full h-auto" />
+            {issues.map((issue, idx) => {
+              if (issue.y >= screenshot.height) return null;
+              const color = levelColors[issue.level];
+              return (
+                <span
+                  key={idx}
+                  className="absolute pointer-events-none"
+                  style={{
+                    left: toPercent(issue.x, screenshot.width),
+                    top: toPercent(issue.y, screenshot.height),
+                    width: toPercent(Math.max(issue.width, 2), screenshot.width),
+                    height: toPercent(Math.max(issue.height, 2), screenshot.height),
+                    outline: `${active === idx ? 3 : 2}px solid ${color}`,
+                    backgroundColor: active === idx ? `${color}55` : 'transparent',
+                    opacity: active === null || active === idx ? 1 : 0.4,
+                  }}
+                  title={`${issue.selector}: ${issue.width}x${issue.height}px`}
+                ></span>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
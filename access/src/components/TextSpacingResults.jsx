@@ -0,0 +1,33 @@
+import React from 'react';
+import RenderingComparison from './RenderingComparison';
+
+/**
+ * TextSpacingResults
+ * Props:
+ *   textSpacing: result.textSpacing ({ before, screenshot, issues, issueCount, horizontalScroll, error })
+ * Text that gets cut off, spills out or overlaps once the WCAG 1.4.12 text spacing is applied,
+ * with the page before and after the spacing side by side.
+ */
+export default function TextSpacingResults({ textSpacing }) {
+  if (!textSpacing) return null;
+  if (textSpacing.error) {
+    return <div className="text-orange-700 text-sm p-4 bg-orange-50 rounded-xl shadow mb-8">{textSpacing.error}</div>;
+  }
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-800 rounded-xl p-6 shadow mb-8">
+      <h3 className="text-xl font-bold mb-2">Text Spacing</h3>
+      <p className="mb-4 text-gray-600 dark:text-gray-300">
+        Text that breaks with line height 1.5, paragraph spacing 2, letter spacing 0.12 and word spacing 0.16 times the font size.
+      </p>
+      <RenderingComparison
+        before={textSpacing.before?.screenshot}
+        after={textSpacing.screenshot}
+        afterLabel="WCAG text spacing"
+        issues={textSpacing.issues}
+        issueCount={textSpacing.issueCount}
+        horizontalScroll={textSpacing.horizontalScroll}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { Monitor, Tablet, Smartphone } from 'lucide-react';
+
+function ViewportIcon({ viewport }) {
+  if (!viewport.isMobile) return <Monitor className="h-4 w-4" aria-hidden="true" />;
+  if (viewport.width >= 600) return <Tablet className="h-4 w-4" aria-hidden="true" />;
+  return <Smartphone className="h-4 w-4" aria-hidden="true" />;
+}
+
+/**
+ * ViewportComparison
+ * Props:
+ *   viewports: Per-viewport scan results ({ viewport, accessibility, error }) from result.viewports
+ *   comparison: result.viewportComparison ({ viewports, rules }), where each rule lists its
+ *               node count per viewport and is flagged specific when some viewports lack it
+ */
+export default function ViewportComparison({ viewports, comparison }) {
+  const [specificOnly, setSpecificOnly] = useState(false);
+
+  if (!viewports?.length || !comparison) return null;
+
+  const rules = specificOnly ? comparison.rules.filter(rule => rule.specific) : comparison.rules;
+  const specificCount = comparison.rules.filter(rule => rule.specific).length;
+
+  return (
+    <div className="bg-gray-50 dark:bg-gray-800 rounded-xl p-6 shadow mb-8">
+      <h3 className="text-xl font-bold mb-2">Viewport Comparison</h3>
+      <p className="mb-4 text-gray-600 dark:text-gray-300">
+        {specificCount} of {comparison.rules.length} failing rules only appear in some viewports.
+      </p>
+
+      <div className="flex flex-wrap gap-3 mb-4">
+        {viewports.map(({ viewport, accessibility, error }) => (
+          <div key={viewport.name} className="flex items-center gap-2 px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-900 text-sm">
+            <ViewportIcon viewport={viewport} />
+            <span className="font-semibold">{viewport.name}</span>
+            <span className="text-xs text-gray-500 dark:text-gray-400">{viewport.width}x{viewport.height}</span>
+            {error || accessibility?.error ? (
+              <span className="text-xs text-red-600 dark:text-red-400">{error || accessibility.error}</span>
+            ) : (
+              <span className="text-xs font-semibold">{accessibility?.violations?.length ?? 0} violations</span>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <label className="flex items-center gap-2 text-sm mb-3 cursor-pointer select-none">
+        <input
+          type="checkbox"
+          checked={specificOnly}
+          onChange={e => setSpecificOnly(e.target.checked)}
+          className="accent-yellow-400 w-4 h-4"
+        />
+        Only show viewport-specific issues
+      </label>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full text-left text-sm">
+          <thead>
+            <tr className="border-b border-gray-200 dark:border-gray-700">
+              <th className="py-2 px-3 font-semibold text-gray-700 dark:text-gray-200">Issue</th>
+              {comparison.viewports.map(name => (
+                <th key={name} className="py-2 px-3 font-semibold text-gray-700 dark:text-gray-200 text-right">{name}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map(rule => (
+              <tr key={rule.id} className="border-b border-gray-100 dark:border-gray-700">
+                <td className="py-2 px-3">
+                  <span className="font-semibold text-gray-900 dark:text-white">{rule.help}</span>
+                  {rule.specific && (
+                    <span className="ml-2 inline-block px-2 py-0.5 rounded-full text-xs font-semibold bg-purple-100 text-purple-800">
+                      Only on {rule.viewports.join(', ')}
+                    </span>
+                  )}
+                  <span className="block text-xs text-gray-500 dark:text-gray-400 font-mono">{rule.id} · {rule.impact}</span>
+                </td>
+                {comparison.viewports.map(name => (
+                  <td key={name} className={`py-2 px-3 text-right ${rule.nodes[name] ? 'font-semibold text-red-600' : 'text-gray-400'}`}>
+                    {rule.nodes[name] ?? '–'}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
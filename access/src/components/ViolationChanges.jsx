@@ -0,0 +1,42 @@
+import React from 'react';
+
+const impactStyles = {
+  critical: 'bg-red-100 text-red-700',
+  serious: 'bg-orange-100 text-orange-700',
+  moderate: 'bg-yellow-100 text-yellow-800',
+  minor: 'bg-blue-100 text-blue-700',
+};
+
+/**
+ * ViolationChanges
+ * Props:
+ *   title: Heading for the list
+ *   items: introduced or resolved entries from a server-side violation diff ({ id, help, impact, targets })
+ *   emptyText: Shown when items is empty
+ */
+export default function ViolationChanges({ title, items, emptyText }) {
+  return (
+    <div className="mb-4">
+      <h4 className="font-semibold mb-2">{title}</h4>
+      {items.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">{emptyText}</p>
+      ) : (
+        <ul className="space-y-2">
+          {items.map(item => (
+            <li key={item.id} className="border rounded-lg p-3 bg-white dark:bg-gray-900 text-sm">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="font-semibold text-gray-900 dark:text-white">{item.help}</span>
+                <span className={`inline-block px-2 py-0.5 rounded-full text-xs font-semibold ${impactStyles[item.impact] || impactStyles.minor}`}>
+                  {item.impact || 'unknown'}
+                </span>
+              </div>
+              <ul className="mt-1 text-xs font-mono text-gray-600 dark:text-gray-300">
+                {item.targets.map(target => <li key={target} className="break-all">{target}</li>)}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
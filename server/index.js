@@ -1,10 +1,14 @@
 import express from 'express';
 import cors from 'cors';
-import { chromium } from 'playwright';
-import { readFile } from 'fs/promises';
+import { chromium, devices } from 'playwright';
+import { readFile, writeFile, mkdir, mkdtemp, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import crypto from 'crypto';
+import yauzl from 'yauzl';
 import dotenv from 'dotenv';
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import axeCore from 'axe-core';
 
 // Load environment variables
 dotenv.config();
@@ -37,7 +41,48 @@ const CONFIG = {
   MAX_REPORTS_IN_MEMORY: 1000,
   ALLOWED_ORIGINS: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:5173', 'https://your-frontend-domain.vercel.app'],
   PAGE_LOAD_TIMEOUT: 45000, // Maximum time to wait for page load
-  NAVIGATION_TIMEOUT: 60000 // Maximum time for entire navigation process
+  NAVIGATION_TIMEOUT: 60000, // Maximum time for entire navigation process
+  SCAN_JOB_TIMEOUT: 5 * 60 * 1000, // Browser lifetime for a scan; keep in line with SCAN_TIMEOUT in access/src/App.jsx
+  VIEWPORT_SCAN_TIMEOUT: 2 * 60 * 1000, // Added to the scan's browser lifetime per extra viewport
+  CRAWL_TIMEOUT: 10 * 60 * 1000, // Browser lifetime for a full site crawl
+  CRAWL_PAGE_BUDGET: 90 * 1000, // No new page is started with less than this left of the crawl's lifetime
+  CRAWL_MAX_PAGES: 50,
+  CRAWL_MAX_DEPTH: 5,
+  MAX_CONCURRENT_JOBS: 3, // Leaves browsers free for synchronous scans
+  MAX_JOB_AGE: 60 * 60 * 1000, // 1 hour after the job finishes
+  MAX_QUEUED_JOBS: 50,
+  MAX_STORED_JOBS: 500, // Queued, running and finished jobs kept in memory
+  JOB_RETRY_DELAY: 5000, // Wait before retrying a job when no browser is free
+  MAX_STORAGE_STATE_AGE: 24 * 60 * 60 * 1000, // 24 hours
+  MAX_STORAGE_STATES: 200,
+  MAX_STORAGE_STATE_SIZE: 1024 * 1024, // Bytes of JSON per uploaded storage state
+  MAX_LOGIN_STEPS: 20,
+  LOGIN_STEP_TIMEOUT: 15000,
+  MAX_LOGIN_STEP_TIMEOUT: 60000,
+  MAX_DYNAMIC_ACTIONS: 25,
+  ACTION_TIMEOUT: 5000, // Default per dynamic action step
+  ACTION_SETTLE_DELAY: 1000, // Default wait for DOM updates before re-running axe
+  MAX_VIEWPORTS: 5,
+  KEYBOARD_MAX_TAB_STOPS: 150,
+  AX_TREE_MAX_NODES: 3000,
+  MAX_SCREENSHOTS_IN_MEMORY: 3000,
+  MAX_ELEMENT_SCREENSHOTS: 60, // Per scan
+  MAX_SCREENSHOTS_PER_RULE: 5,
+  SCREENSHOT_PADDING: 24, // CSS pixels around the failing element
+  MAX_FULL_PAGE_HEIGHT: 15000, // Longer pages are cut off in the full-page screenshot
+  MAX_CONTENT_FILES: 1000, // Per uploaded file set or zip archive
+  MAX_CONTENT_SIZE: 50 * 1024 * 1024, // Total bytes after decoding or unzipping
+  MAX_PALETTE_COLORS: 40,
+  CVD_MIN_COLOR_DIFFERENCE: 15, // CIE76 delta E below which two colors are hard to tell apart
+  CVD_MAX_ELEMENTS_PER_COLOR: 10,
+  REFLOW_MAX_TEXT_ELEMENTS: 3000, // Text elements compared between renderings
+  REFLOW_MAX_ISSUES: 50, // Per reflow condition
+  TARGET_SIZE_MAX_TARGETS: 2000,
+  NON_TEXT_MAX_FOCUS_CHECKS: 200, // Tab presses made to read focus outlines
+  NON_TEXT_MAX_ISSUES: 100,
+  IMAGE_TEXT_MAX_ELEMENTS: 40, // Text elements on images or gradients screenshotted per scan
+  IMAGE_TEXT_MAX_SAMPLES: 40000, // Background pixels compared per text element
+  IMAGE_TEXT_MAX_FAILING_SHARE: 0.1 // Share of background pixels under the required contrast before text fails
 };
 
 // For Lighthouse audits
@@ -135,13 +180,26 @@ const rateLimit = (req, res, next) => {
   next();
 };
 
-// Apply rate limiting to scan endpoints
-app.use('/api/scan', rateLimit);
+// Apply rate limiting to scan endpoints (polling job status is not limited)
+app.use('/api/scan', (req, res, next) => req.method === 'GET' ? next() : rateLimit(req, res, next));
+app.use('/api/crawl', rateLimit);
 app.use('/api/gemini-suggestion', rateLimit);
 
 // In-memory report storage with cleanup (for demo; use DB for production)
 const reports = new Map();
 
+// Saved Playwright storage states (cookies + localStorage) for authenticated scans
+const storageStates = new Map();
+
+// Screenshots captured during scans, referenced from results by ID and served from /api/screenshots/:id
+const screenshots = new Map();
+
+const storeScreenshot = (buffer, contentType = 'image/jpeg') => {
+  const id = crypto.randomBytes(12).toString('hex');
+  screenshots.set(id, { buffer, contentType, timestamp: Date.now() });
+  return { id, url: `/api/screenshots/${id}` };
+};
+
 // Cleanup old reports periodically
 setInterval(() => {
   const now = Date.now();
@@ -168,6 +226,39 @@ setInterval(() => {
     
     console.log(`🧹 Cleaned up ${toDelete.length} excess reports`);
   }
+  
+  // Drop finished scan jobs and their results
+  let expiredJobs = 0;
+  for (const [id, job] of scanJobs.jobs.entries()) {
+    if (job.finishedAt && now - job.finishedAt > CONFIG.MAX_JOB_AGE) {
+      scanJobs.jobs.delete(id);
+      expiredJobs++;
+    }
+  }
+  
+  if (expiredJobs > 0) {
+    console.log(`🧹 Cleaned up ${expiredJobs} finished scan jobs`);
+  }
+  
+  // Screenshots live as long as the reports that reference them
+  for (const [id, screenshot] of screenshots.entries()) {
+    if (now - screenshot.timestamp > CONFIG.MAX_REPORT_AGE) {
+      screenshots.delete(id);
+    }
+  }
+  
+  if (screenshots.size > CONFIG.MAX_SCREENSHOTS_IN_MEMORY) {
+    // Map iteration follows insertion order, so the first entries are the oldest
+    const excess = Array.from(screenshots.keys()).slice(0, screenshots.size - CONFIG.MAX_SCREENSHOTS_IN_MEMORY);
+    excess.forEach(id => screenshots.delete(id));
+    console.log(`🧹 Cleaned up ${excess.length} excess screenshots`);
+  }
+  
+  for (const [id, saved] of storageStates.entries()) {
+    if (now - saved.timestamp > CONFIG.MAX_STORAGE_STATE_AGE) {
+      storageStates.delete(id);
+    }
+  }
 }, 60 * 60 * 1000); // Run every hour
 
 // Load axe-core with error handling
@@ -186,8 +277,9 @@ try {
 // Browser pool management
 const browserPool = {
   browsers: new Set(),
+  timedOut: new WeakSet(),
   
-  async createBrowser() {
+  async createBrowser(timeout = CONFIG.BROWSER_TIMEOUT) {
     if (this.browsers.size >= CONFIG.MAX_CONCURRENT_BROWSERS) {
       throw new Error('Maximum concurrent browsers reached. Please try again later.');
     }
@@ -215,13 +307,19 @@ const browserPool = {
     setTimeout(async () => {
       if (this.browsers.has(browser)) {
         console.warn('⚠️ Force closing browser due to timeout');
+        this.timedOut.add(browser);
         await this.closeBrowser(browser);
       }
-    }, CONFIG.BROWSER_TIMEOUT);
+    }, timeout);
     
     return browser;
   },
   
+  // Whether the lifetime timer closed this browser, so its callers can report a timeout
+  hasTimedOut(browser) {
+    return this.timedOut.has(browser);
+  },
+  
   async closeBrowser(browser) {
     if (this.browsers.has(browser)) {
       this.browsers.delete(browser);
@@ -256,12 +354,69 @@ const validateUrl = (url) => {
   }
 };
 
+// Turn an uploaded file path into a safe path relative to the content root
+const toContentPath = (filePath) => {
+  const normalized = path.posix.normalize(filePath.replace(/\\/g, '/')).replace(/^\/+/, '');
+  if (!normalized || normalized === '.' || normalized === '..' || normalized.startsWith('../')) {
+    return null;
+  }
+  return normalized;
+};
+
+// Uploaded content is one of: { html }, { files: [{ path, content, encoding }] } or { zip } (base64)
+const validateContent = (content) => {
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    return { valid: false, error: 'Content must be an object with html, files or zip' };
+  }
+  
+  const { html, files, zip, entry } = content;
+  const sources = [html, files, zip].filter(source => source !== undefined);
+  if (sources.length !== 1) {
+    return { valid: false, error: 'Content must contain exactly one of html, files or zip' };
+  }
+  
+  if (html !== undefined && (typeof html !== 'string' || !html.trim())) {
+    return { valid: false, error: 'Content html must be a non-empty string' };
+  }
+  
+  if (files !== undefined) {
+    if (!Array.isArray(files) || files.length === 0) {
+      return { valid: false, error: 'Content files must be a non-empty array' };
+    }
+    if (files.length > CONFIG.MAX_CONTENT_FILES) {
+      return { valid: false, error: `Too many files. Maximum ${CONFIG.MAX_CONTENT_FILES} allowed.` };
+    }
+    
+    for (const file of files) {
+      if (!file || typeof file.path !== 'string' || !toContentPath(file.path)) {
+        return { valid: false, error: 'Each file needs a relative path inside the upload' };
+      }
+      if (typeof file.content !== 'string') {
+        return { valid: false, error: `File ${file.path} must have string content` };
+      }
+      if (file.encoding !== undefined && !['utf8', 'base64'].includes(file.encoding)) {
+        return { valid: false, error: `File ${file.path} encoding must be utf8 or base64` };
+      }
+    }
+  }
+  
+  if (zip !== undefined && (typeof zip !== 'string' || !zip)) {
+    return { valid: false, error: 'Content zip must be a base64-encoded string' };
+  }
+  
+  if (entry !== undefined && (typeof entry !== 'string' || !toContentPath(entry))) {
+    return { valid: false, error: 'Content entry must be a relative path to an HTML file' };
+  }
+  
+  return { valid: true };
+};
+
 const validateAudits = (audits) => {
   if (!Array.isArray(audits)) {
     return { valid: false, error: 'Audits must be an array' };
   }
   
-  const validAudits = ['accessibility', 'performance', 'seo', 'best-practices', 'pwa', 'brand-color-contrast', 'dynamic-content'];
+  const validAudits = ['accessibility', 'performance', 'seo', 'best-practices', 'pwa', 'brand-color-contrast', 'dynamic-content', 'keyboard', 'accessibility-tree', 'color-vision', 'reflow', 'text-spacing', 'target-size', 'non-text-contrast', 'image-text-contrast'];
   const invalidAudits = audits.filter(audit => !validAudits.includes(audit));
   
   if (invalidAudits.length > 0) {
@@ -271,13 +426,14 @@ const validateAudits = (audits) => {
   return { valid: true };
 };
 
+const HEX_COLOR_PATTERN = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
+
 const validateBrandColors = (brandColors) => {
   if (!Array.isArray(brandColors)) {
     return { valid: false, error: 'Brand colors must be an array' };
   }
   
-  const hexPattern = /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/;
-  const invalidColors = brandColors.filter(color => !hexPattern.test(color));
+  const invalidColors = brandColors.filter(color => !HEX_COLOR_PATTERN.test(color));
   
   if (invalidColors.length > 0) {
     return { valid: false, error: `Invalid hex colors: ${invalidColors.join(', ')}` };
@@ -286,591 +442,4380 @@ const validateBrandColors = (brandColors) => {
   return { valid: true };
 };
 
-// Enhanced report endpoints
-app.post('/api/report', (req, res) => {
-  try {
-    const report = req.body;
-    
-    if (!report || typeof report !== 'object') {
-      return res.status(400).json({ error: 'Invalid report data - must be an object' });
+const LOGIN_STEP_TYPES = ['goto', 'fill', 'click', 'wait'];
+
+const validateStorageState = (state) => {
+  if (!state || typeof state !== 'object' || !Array.isArray(state.cookies) || 
+      (state.origins !== undefined && !Array.isArray(state.origins))) {
+    return { valid: false, error: 'Storage state must be a Playwright storage state object with a cookies array' };
+  }
+  
+  if (JSON.stringify(state).length > CONFIG.MAX_STORAGE_STATE_SIZE) {
+    return { valid: false, error: `Storage state must be at most ${CONFIG.MAX_STORAGE_STATE_SIZE / 1024}KB` };
+  }
+  
+  return { valid: true };
+};
+
+const validateAuth = (auth) => {
+  if (auth === undefined) {
+    return { valid: true };
+  }
+  
+  if (!auth || typeof auth !== 'object' || Array.isArray(auth)) {
+    return { valid: false, error: 'Auth must be an object' };
+  }
+  
+  const { cookies, httpCredentials, headers, loginSteps, storageStateId, saveStorageState } = auth;
+  
+  if (cookies !== undefined && (!Array.isArray(cookies) || 
+      cookies.some(cookie => typeof cookie?.name !== 'string' || typeof cookie?.value !== 'string'))) {
+    return { valid: false, error: 'Auth cookies must be an array of { name, value } objects' };
+  }
+  
+  if (httpCredentials !== undefined && 
+      (typeof httpCredentials?.username !== 'string' || typeof httpCredentials?.password !== 'string')) {
+    return { valid: false, error: 'Auth httpCredentials must have a username and password' };
+  }
+  
+  if (headers !== undefined && (!headers || typeof headers !== 'object' || Array.isArray(headers) ||
+      Object.values(headers).some(value => typeof value !== 'string'))) {
+    return { valid: false, error: 'Auth headers must be an object of string values' };
+  }
+  
+  if (loginSteps !== undefined) {
+    if (!Array.isArray(loginSteps) || loginSteps.length > CONFIG.MAX_LOGIN_STEPS) {
+      return { valid: false, error: `Auth loginSteps must be an array of at most ${CONFIG.MAX_LOGIN_STEPS} steps` };
     }
     
-    // Validate report structure
-    const requiredFields = ['url'];
-    const missingFields = requiredFields.filter(field => !report[field]);
+    for (const [i, step] of loginSteps.entries()) {
+      if (!LOGIN_STEP_TYPES.includes(step?.type)) {
+        return { valid: false, error: `Login step ${i + 1}: type must be one of ${LOGIN_STEP_TYPES.join(', ')}` };
+      }
+      if (step.type === 'goto' && !validateUrl(step.url).valid) {
+        return { valid: false, error: `Login step ${i + 1}: goto requires a valid url` };
+      }
+      if (['fill', 'click'].includes(step.type) && typeof step.selector !== 'string') {
+        return { valid: false, error: `Login step ${i + 1}: ${step.type} requires a selector` };
+      }
+      if (step.type === 'fill' && typeof step.value !== 'string') {
+        return { valid: false, error: `Login step ${i + 1}: fill requires a value` };
+      }
+      if (step.timeout !== undefined && 
+          (!Number.isInteger(step.timeout) || step.timeout < 1 || step.timeout > CONFIG.MAX_LOGIN_STEP_TIMEOUT)) {
+        return { valid: false, error: `Login step ${i + 1}: timeout must be 1-${CONFIG.MAX_LOGIN_STEP_TIMEOUT} ms` };
+      }
+    }
+  }
+  
+  if (storageStateId !== undefined && !storageStates.has(storageStateId)) {
+    return { valid: false, error: 'Invalid storageStateId: storage state not found or expired' };
+  }
+  
+  if (saveStorageState !== undefined && typeof saveStorageState !== 'boolean') {
+    return { valid: false, error: 'Auth saveStorageState must be a boolean' };
+  }
+  
+  return { valid: true };
+};
+
+// Dynamic action types and the fields each one requires
+const DYNAMIC_ACTION_TYPES = {
+  click: ['selector'],
+  focus: ['selector'],
+  hover: ['selector'],
+  type: ['selector', 'value'],
+  select: ['selector', 'value'],
+  press: ['key'],
+  scroll: [],
+  check: ['selector'],
+  waitForSelector: ['selector'],
+  waitForNetworkIdle: [],
+  navigate: ['url'],
+  assertVisible: ['selector']
+};
+
+const validateDynamicActions = (dynamicActions) => {
+  if (dynamicActions === undefined) {
+    return { valid: true };
+  }
+  
+  if (!Array.isArray(dynamicActions)) {
+    return { valid: false, error: 'dynamicActions must be an array' };
+  }
+  
+  if (dynamicActions.length > CONFIG.MAX_DYNAMIC_ACTIONS) {
+    return { valid: false, error: `Too many dynamic actions. Maximum ${CONFIG.MAX_DYNAMIC_ACTIONS} allowed.` };
+  }
+  
+  for (const [i, action] of dynamicActions.entries()) {
+    const requiredFields = DYNAMIC_ACTION_TYPES[action?.type];
+    if (!requiredFields) {
+      return { valid: false, error: `Dynamic action ${i + 1}: type must be one of ${Object.keys(DYNAMIC_ACTION_TYPES).join(', ')}` };
+    }
     
-    if (missingFields.length > 0) {
-      return res.status(400).json({ 
-        error: `Missing required fields: ${missingFields.join(', ')}` 
-      });
+    for (const field of requiredFields) {
+      const value = action[field];
+      // select also takes an array of option values
+      const isValid = typeof value === 'string' ||
+        (action.type === 'select' && field === 'value' && Array.isArray(value) && value.every(option => typeof option === 'string'));
+      if (!isValid || value.length === 0) {
+        return { valid: false, error: `Dynamic action ${i + 1}: ${action.type} requires a ${field}` };
+      }
     }
     
-    // Validate URL in report
-    const urlValidation = validateUrl(report.url);
-    if (!urlValidation.valid) {
-      return res.status(400).json({ error: urlValidation.error });
+    if (action.selector !== undefined && typeof action.selector !== 'string') {
+      return { valid: false, error: `Dynamic action ${i + 1}: selector must be a string` };
+    }
+    if (action.type === 'navigate' && /^[a-z][a-z\d+.-]*:/i.test(action.url) && !validateUrl(action.url).valid) {
+      return { valid: false, error: `Dynamic action ${i + 1}: navigate url must be relative or use HTTP or HTTPS` };
+    }
+    if (action.type === 'waitForSelector' && action.state !== undefined && 
+        !['visible', 'hidden', 'attached', 'detached'].includes(action.state)) {
+      return { valid: false, error: `Dynamic action ${i + 1}: state must be visible, hidden, attached or detached` };
+    }
+    if (action.type === 'scroll' && action.y !== undefined && !Number.isFinite(action.y)) {
+      return { valid: false, error: `Dynamic action ${i + 1}: scroll y must be a number of pixels` };
+    }
+    for (const flag of ['checked', 'audit']) {
+      if (action[flag] !== undefined && typeof action[flag] !== 'boolean') {
+        return { valid: false, error: `Dynamic action ${i + 1}: ${flag} must be a boolean` };
+      }
+    }
+    if (action.timeout !== undefined && (!Number.isInteger(action.timeout) || action.timeout < 1 || action.timeout > 60000)) {
+      return { valid: false, error: `Dynamic action ${i + 1}: timeout must be 1-60000 ms` };
+    }
+    if (action.waitAfter !== undefined && (!Number.isInteger(action.waitAfter) || action.waitAfter < 0 || action.waitAfter > 10000)) {
+      return { valid: false, error: `Dynamic action ${i + 1}: waitAfter must be 0-10000 ms` };
+    }
+  }
+  
+  return { valid: true };
+};
+
+const validateCrawlOptions = ({ maxPages, maxDepth, include, exclude }) => {
+  if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > CONFIG.CRAWL_MAX_PAGES) {
+    return { valid: false, error: `maxPages must be an integer between 1 and ${CONFIG.CRAWL_MAX_PAGES}` };
+  }
+  
+  if (!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > CONFIG.CRAWL_MAX_DEPTH) {
+    return { valid: false, error: `maxDepth must be an integer between 0 and ${CONFIG.CRAWL_MAX_DEPTH}` };
+  }
+  
+  for (const [name, patterns] of [['include', include], ['exclude', exclude]]) {
+    if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string' || !pattern.startsWith('/'))) {
+      return { valid: false, error: `${name} must be an array of path patterns starting with "/"` };
+    }
+  }
+  
+  return { valid: true };
+};
+
+// WCAG tags that axe-core actually defines (there is no wcag21aaa or wcag22a tag)
+const AXE_WCAG_TAGS = ['wcag2a', 'wcag2aa', 'wcag2aaa', 'wcag21a', 'wcag21aa', 'wcag22aa'];
+const AXE_RULE_IDS = new Set(axeCore.getRules().map(rule => rule.ruleId));
+const CONFORMANCE_PATTERN = /^wcag2([012])(a{1,3})$/;
+const DEFAULT_CONFORMANCE = 'wcag21aa';
+
+const validateAxeConfig = (axeConfig) => {
+  if (axeConfig === undefined) {
+    return { valid: true };
+  }
+  
+  if (!axeConfig || typeof axeConfig !== 'object' || Array.isArray(axeConfig)) {
+    return { valid: false, error: 'axeConfig must be an object' };
+  }
+  
+  const { conformance, bestPractices, enableRules, disableRules } = axeConfig;
+  
+  if (conformance !== undefined && !CONFORMANCE_PATTERN.test(conformance)) {
+    return { valid: false, error: 'axeConfig conformance must be one of wcag20a, wcag20aa, wcag20aaa, wcag21a, wcag21aa, wcag21aaa, wcag22a, wcag22aa, wcag22aaa' };
+  }
+  
+  if (bestPractices !== undefined && typeof bestPractices !== 'boolean') {
+    return { valid: false, error: 'axeConfig bestPractices must be a boolean' };
+  }
+  
+  for (const [name, rules] of [['enableRules', enableRules], ['disableRules', disableRules]]) {
+    if (rules === undefined) continue;
+    if (!Array.isArray(rules)) {
+      return { valid: false, error: `axeConfig ${name} must be an array of axe rule ids` };
+    }
+    const unknownRules = rules.filter(rule => !AXE_RULE_IDS.has(rule));
+    if (unknownRules.length > 0) {
+      return { valid: false, error: `Invalid axe rule ids in ${name}: ${unknownRules.join(', ')}` };
+    }
+  }
+  
+  const conflicting = (enableRules || []).filter(rule => (disableRules || []).includes(rule));
+  if (conflicting.length > 0) {
+    return { valid: false, error: `Rules cannot be both enabled and disabled: ${conflicting.join(', ')}` };
+  }
+  
+  return { valid: true };
+};
+
+// Resolve a conformance target such as "wcag22aa" into the axe tags it covers.
+// Each WCAG version includes the earlier ones and each level includes the lower ones.
+const buildAxeConfiguration = ({ conformance = DEFAULT_CONFORMANCE, bestPractices = false, enableRules = [], disableRules = [] } = {}) => {
+  const [, minor, level] = conformance.match(CONFORMANCE_PATTERN);
+  const versions = ['wcag2', 'wcag21', 'wcag22'].slice(0, Number(minor) + 1);
+  const levels = ['a', 'aa', 'aaa'].slice(0, level.length);
+  const tags = versions
+    .flatMap(version => levels.map(l => version + l))
+    .filter(tag => AXE_WCAG_TAGS.includes(tag));
+  
+  if (bestPractices) {
+    tags.push('best-practice');
+  }
+  
+  return {
+    conformance,
+    label: `WCAG 2.${minor} ${level.toUpperCase()}${bestPractices ? ' + best practices' : ''}`,
+    tags,
+    bestPractices,
+    enableRules,
+    disableRules,
+    axeVersion: axeCore.version
+  };
+};
+
+const LIGHTHOUSE_AUDITS = ['performance', 'seo', 'best-practices', 'pwa'];
+
+// Shared browser context settings for page scans
+const SCAN_CONTEXT_OPTIONS = {
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  viewport: { width: 1920, height: 1080 },
+  // Enhanced timeout settings
+  timeout: CONFIG.NAVIGATION_TIMEOUT,
+  navigationTimeout: CONFIG.PAGE_LOAD_TIMEOUT,
+  ignoreHTTPSErrors: true, // Handle sites with SSL issues
+  extraHTTPHeaders: {
+    'Accept-Language': 'en-US,en;q=0.9'
+  }
+};
+
+// Named viewport presets; any Playwright device name (e.g. "iPhone 14") is accepted too
+const VIEWPORT_PRESETS = {
+  tablet: 'Galaxy Tab S4',
+  phone: 'Pixel 7'
+};
+
+const DESKTOP_VIEWPORT = {
+  viewport: SCAN_CONTEXT_OPTIONS.viewport,
+  userAgent: SCAN_CONTEXT_OPTIONS.userAgent,
+  deviceScaleFactor: 1,
+  isMobile: false,
+  hasTouch: false
+};
+
+const validateViewports = (viewports) => {
+  if (viewports === undefined) {
+    return { valid: true };
+  }
+  
+  if (!Array.isArray(viewports) || viewports.length === 0 || viewports.length > CONFIG.MAX_VIEWPORTS) {
+    return { valid: false, error: `Viewports must be an array of 1 to ${CONFIG.MAX_VIEWPORTS} entries` };
+  }
+  
+  const names = new Set();
+  for (const [i, viewport] of viewports.entries()) {
+    if (typeof viewport === 'string') {
+      if (viewport !== 'desktop' && !Object.hasOwn(VIEWPORT_PRESETS, viewport) && !Object.hasOwn(devices, viewport)) {
+        return { valid: false, error: `Viewport ${i + 1}: unknown device "${viewport}". Use desktop, tablet, phone or a Playwright device name` };
+      }
+    } else if (!viewport || typeof viewport !== 'object' ||
+        !Number.isInteger(viewport.width) || !Number.isInteger(viewport.height) ||
+        viewport.width < 200 || viewport.width > 3840 || viewport.height < 200 || viewport.height > 2160) {
+      return { valid: false, error: `Viewport ${i + 1}: custom viewports need an integer width and height between 200x200 and 3840x2160` };
+    } else if (viewport.name !== undefined && (typeof viewport.name !== 'string' || !viewport.name.trim())) {
+      return { valid: false, error: `Viewport ${i + 1}: name must be a non-empty string` };
     }
     
-    const id = crypto.randomBytes(8).toString('base64url');
-    const reportWithMetadata = {
-      ...report,
-      id,
-      timestamp: Date.now(),
-      userAgent: req.headers['user-agent'] || 'Unknown',
-      ip: req.ip || 'Unknown'
+    const { name } = resolveViewport(viewport);
+    if (names.has(name)) {
+      return { valid: false, error: `Viewport ${i + 1}: duplicate viewport name "${name}"` };
+    }
+    names.add(name);
+  }
+  
+  return { valid: true };
+};
+
+// Turn a preset name, device name or custom { name, width, height, ... } into context options
+const resolveViewport = (spec = 'desktop') => {
+  let name = spec;
+  let device = null;
+  let descriptor = DESKTOP_VIEWPORT;
+  
+  if (typeof spec === 'object') {
+    name = spec.name || `${spec.width}x${spec.height}`;
+    descriptor = {
+      viewport: { width: spec.width, height: spec.height },
+      userAgent: spec.userAgent || SCAN_CONTEXT_OPTIONS.userAgent,
+      deviceScaleFactor: spec.deviceScaleFactor || 1,
+      isMobile: Boolean(spec.isMobile),
+      hasTouch: Boolean(spec.hasTouch ?? spec.isMobile)
     };
-    
-    reports.set(id, reportWithMetadata);
-    
-    console.log(`📄 Report saved with ID: ${id} for URL: ${report.url}`);
-    res.json({ id, timestamp: reportWithMetadata.timestamp });
-    
-  } catch (error) {
-    console.error('❌ Error saving report:', error);
-    res.status(500).json({ error: 'Failed to save report' });
+  } else if (spec !== 'desktop') {
+    device = Object.hasOwn(VIEWPORT_PRESETS, spec) ? VIEWPORT_PRESETS[spec] : spec;
+    descriptor = devices[device];
   }
-});
+  
+  const { viewport, userAgent, deviceScaleFactor, isMobile, hasTouch } = descriptor;
+  
+  return {
+    name,
+    device,
+    width: viewport.width,
+    height: viewport.height,
+    deviceScaleFactor,
+    isMobile,
+    hasTouch,
+    contextOptions: { viewport, userAgent, deviceScaleFactor, isMobile, hasTouch }
+  };
+};
 
-app.get('/api/report/:id', (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    if (!id || typeof id !== 'string') {
-      return res.status(400).json({ error: 'Invalid report ID' });
+// Report-friendly description of a resolved viewport
+const describeViewport = ({ contextOptions, ...viewport }) => viewport;
+
+// User-preference media features the audits can be re-run under (see page.emulateMedia)
+const MEDIA_VARIANTS = {
+  dark: { label: 'prefers-color-scheme: dark', media: { colorScheme: 'dark' } },
+  'forced-colors': { label: 'forced-colors: active', media: { forcedColors: 'active' } },
+  'reduced-motion': { label: 'prefers-reduced-motion: reduce', media: { reducedMotion: 'reduce' } },
+  'more-contrast': { label: 'prefers-contrast: more', media: { contrast: 'more' } }
+};
+
+const validateMediaVariants = (mediaVariants) => {
+  if (mediaVariants === undefined) {
+    return { valid: true };
+  }
+  
+  if (!Array.isArray(mediaVariants)) {
+    return { valid: false, error: 'mediaVariants must be an array' };
+  }
+  
+  const invalidVariants = mediaVariants.filter(variant => typeof variant !== 'string' || !Object.hasOwn(MEDIA_VARIANTS, variant));
+  if (invalidVariants.length > 0) {
+    return { valid: false, error: `Invalid media variants: ${invalidVariants.join(', ')}. Supported: ${Object.keys(MEDIA_VARIANTS).join(', ')}` };
+  }
+  
+  return { valid: true };
+};
+
+// WCAG target sizes in CSS px: 2.5.8 (AA, with the spacing exception) and 2.5.5 (AAA)
+const TARGET_SIZES = { aa: 24, aaa: 44 };
+
+const validateTargetSizeLevel = (level) => {
+  if (level === undefined) {
+    return { valid: true };
+  }
+  
+  if (typeof level !== 'string' || !Object.hasOwn(TARGET_SIZES, level)) {
+    return { valid: false, error: `targetSizeLevel must be one of: ${Object.keys(TARGET_SIZES).join(', ')}` };
+  }
+  
+  return { valid: true };
+};
+
+// Create a browser context with the scan's credentials, headers, cookies and saved storage state.
+// overrides replaces default context options, such as the viewport and user agent of a device.
+const createScanContext = async (browser, url, auth = {}, overrides = {}) => {
+  const options = { ...SCAN_CONTEXT_OPTIONS, ...overrides };
+  
+  if (auth.httpCredentials) {
+    options.httpCredentials = {
+      username: auth.httpCredentials.username,
+      password: auth.httpCredentials.password
+    };
+  }
+  
+  if (auth.headers) {
+    options.extraHTTPHeaders = { ...options.extraHTTPHeaders, ...auth.headers };
+  }
+  
+  if (auth.storageStateId) {
+    // Queued jobs can outlive a storage state, so check again here
+    const saved = storageStates.get(auth.storageStateId);
+    if (!saved) {
+      throw new Error('Invalid storageStateId: storage state not found or expired');
     }
+    options.storageState = saved.state;
+  }
+  
+  const context = await browser.newContext(options);
+  
+  if (auth.cookies?.length) {
+    // Playwright needs either a url or a domain + path; default to the scanned URL
+    await context.addCookies(auth.cookies.map(cookie => 
+      cookie.url || cookie.domain
+        ? { ...cookie, ...(cookie.domain && !cookie.url ? { path: cookie.path || '/' } : {}) }
+        : { ...cookie, url }
+    ));
+  }
+  
+  return context;
+};
+
+// Run a scripted login sequence; throws with the failing step when one does not complete
+const runLoginSteps = async (page, steps, onStep = () => {}) => {
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    const description = `${step.type} ${step.selector || step.url || ''}`.trim();
+    const timeout = step.timeout || CONFIG.LOGIN_STEP_TIMEOUT;
     
-    const report = reports.get(id);
+    onStep(`Step ${i + 1}/${steps.length}: ${description}`);
     
-    if (!report) {
-      return res.status(404).json({ 
-        error: 'Report not found or expired',
-        message: 'Reports are automatically deleted after 24 hours'
-      });
+    try {
+      switch (step.type) {
+        case 'goto':
+          await page.goto(step.url, { waitUntil: 'domcontentloaded', timeout });
+          break;
+        case 'fill':
+          await page.fill(step.selector, step.value, { timeout });
+          break;
+        case 'click':
+          await page.click(step.selector, { timeout });
+          break;
+        case 'wait':
+          if (step.selector) {
+            await page.waitForSelector(step.selector, { state: 'visible', timeout });
+          } else if (step.url) {
+            await page.waitForURL(step.url, { timeout });
+          } else {
+            await page.waitForLoadState('networkidle', { timeout });
+          }
+          break;
+      }
+    } catch (error) {
+      throw new Error(`Login failed at step ${i + 1} (${description}): ${error.message.split('\n')[0]}`);
     }
-    
-    // Remove metadata before sending
-    const { timestamp, userAgent, ip, ...cleanReport } = report;
-    
-    console.log(`📄 Report retrieved: ${id}`);
+  }
+};
+
+// Short label for a dynamic action, e.g. "press Escape" or "click .menu-toggle"
+const describeAction = (action) => 
+  `${action.type} ${[action.key, action.selector, action.url].filter(Boolean).join(' on ')}`.trim();
+
+// Perform one dynamic action. Throws with a readable reason when the step cannot complete.
+const runDynamicAction = async (page, action) => {
+  const timeout = action.timeout || CONFIG.ACTION_TIMEOUT;
+  
+  switch (action.type) {
+    case 'click':
+      await page.click(action.selector, { timeout });
+      break;
+    case 'focus':
+      await page.focus(action.selector, { timeout });
+      break;
+    case 'hover':
+      await page.hover(action.selector, { timeout });
+      break;
+    case 'type':
+      await page.type(action.selector, action.value, { timeout });
+      break;
+    case 'select':
+      await page.selectOption(action.selector, action.value, { timeout });
+      break;
+    case 'press':
+      // Without a selector the key goes to whatever currently has focus
+      if (action.selector) {
+        await page.press(action.selector, action.key, { timeout });
+      } else {
+        await page.keyboard.press(action.key);
+      }
+      break;
+    case 'scroll':
+      if (action.selector) {
+        await page.locator(action.selector).first().scrollIntoViewIfNeeded({ timeout });
+      } else {
+        // Default to one screen down
+        await page.evaluate(y => window.scrollBy(0, y ?? window.innerHeight), action.y);
+      }
+      break;
+    case 'check':
+      await page.setChecked(action.selector, action.checked !== false, { timeout });
+      break;
+    case 'waitForSelector':
+      await page.waitForSelector(action.selector, { state: action.state || 'visible', timeout });
+      break;
+    case 'waitForNetworkIdle':
+      await page.waitForLoadState('networkidle', { timeout });
+      break;
+    case 'navigate': {
+      const target = new URL(action.url, page.url());
+      if (!['http:', 'https:'].includes(target.protocol)) {
+        throw new Error(`Cannot navigate to ${target.protocol} URLs`);
+      }
+      await page.goto(target.href, { waitUntil: 'domcontentloaded', timeout });
+      break;
+    }
+    case 'assertVisible':
+      try {
+        await page.locator(action.selector).first().waitFor({ state: 'visible', timeout });
+      } catch {
+        throw new Error(`Assertion failed: ${action.selector} was not visible within ${timeout}ms`);
+      }
+      break;
+    default:
+      throw new Error(`Unsupported action type: ${action.type}`);
+  }
+};
+
+// Save the context's cookies and localStorage so later scans can reuse the session.
+// When the store is full the oldest saved session makes room, so the scan still gets an id.
+const saveStorageState = async (context) => {
+  if (storageStates.size >= CONFIG.MAX_STORAGE_STATES) {
+    storageStates.delete(storageStates.keys().next().value);
+  }
+  const id = crypto.randomBytes(8).toString('base64url');
+  storageStates.set(id, { state: await context.storageState(), timestamp: Date.now() });
+  console.log(`🔐 Storage state saved with ID: ${id}`);
+  return id;
+};
+
+// Summary of the authentication used for a scan, without any secrets
+const describeAuth = (auth) => ({
+  methods: [
+    auth.cookies?.length && 'cookies',
+    auth.httpCredentials && 'http-credentials',
+    auth.headers && 'headers',
+    auth.loginSteps?.length && 'login-steps',
+    auth.storageStateId && 'storage-state'
+  ].filter(Boolean),
+  storageStateId: auth.storageStateId || null
+});
+
+// Navigate with fallback strategies, translating network errors into readable messages.
+// onAttempt is called with a short message before each loading strategy is tried.
+const navigateWithFallback = async (page, url, onAttempt = () => {}) => {
+  try {
+    console.log(`🌐 Attempting to load: ${url}`);
+    
+    // First attempt: Try with networkidle (most reliable)
+    try {
+      onAttempt('Waiting for network to go idle');
+      await page.goto(url, { 
+        waitUntil: 'networkidle',
+        timeout: 45000 // Increased from 30s to 45s
+      });
+      console.log(`✅ Page loaded successfully with networkidle`);
+    } catch (networkIdleError) {
+      console.log(`⚠️ NetworkIdle failed, trying domcontentloaded...`);
+      
+      // Second attempt: Try with domcontentloaded (faster)
+      try {
+        onAttempt('Network never went idle, waiting for DOMContentLoaded');
+        await page.goto(url, { 
+          waitUntil: 'domcontentloaded',
+          timeout: 30000
+        });
+        console.log(`✅ Page loaded successfully with domcontentloaded`);
+      } catch (domContentError) {
+        console.log(`⚠️ DOMContentLoaded failed, trying load event...`);
+        
+        // Third attempt: Try with basic load event
+        onAttempt('DOMContentLoaded timed out, waiting for the load event');
+        await page.goto(url, { 
+          waitUntil: 'load',
+          timeout: 20000
+        });
+        console.log(`✅ Page loaded successfully with load event`);
+      }
+    }
+    
+    // Additional wait for any remaining dynamic content
+    await page.waitForTimeout(2000);
+    
+  } catch (error) {
+    if (error.message.includes('timeout') || error.message.includes('Timeout')) {
+      throw new Error(`Website "${url}" took too long to load (tried multiple loading strategies). The site may be slow or having issues. Please try again later.`);
+    } else if (error.message.includes('net::ERR_NAME_NOT_RESOLVED')) {
+      throw new Error(`Website "${url}" not found. Please check the URL and try again.`);
+    } else if (error.message.includes('net::ERR_CONNECTION_REFUSED')) {
+      throw new Error(`Connection to "${url}" was refused. The website may be down or blocking automated access.`);
+    } else if (error.message.includes('net::ERR_CERT_')) {
+      throw new Error(`SSL certificate error for "${url}". The website may have security issues.`);
+    } else if (error.message.includes('net::ERR_TOO_MANY_REDIRECTS')) {
+      throw new Error(`Too many redirects when accessing "${url}". The website configuration may have issues.`);
+    } else {
+      throw new Error(`Failed to load website "${url}": ${error.message}`);
+    }
+  }
+};
+
+// Check whether the loaded page has real content or is an error page
+const getWebsiteStatus = async (page) => {
+  try {
+    await page.waitForLoadState('domcontentloaded', { timeout: 10000 });
+    
+    const pageAnalysis = await page.evaluate(() => {
+      const bodyText = document.body ? document.body.innerText.trim() : '';
+      const title = document.title || '';
+      
+      // Check for common error indicators
+      const errorIndicators = [
+        'error', 'exception', 'mysql', 'database', 'connection failed',
+        'internal server error', '500', '404', 'not found',
+        'application error', 'could not connect', 'database error'
+      ];
+      
+      const hasError = errorIndicators.some(indicator => 
+        bodyText.toLowerCase().includes(indicator.toLowerCase()) ||
+        title.toLowerCase().includes(indicator.toLowerCase())
+      );
+      
+      return {
+        title,
+        bodyLength: bodyText.length,
+        hasContent: bodyText.length > 10,
+        hasError,
+        errorType: hasError ? 'Website appears to have backend/database issues' : null,
+        preview: bodyText.substring(0, 200)
+      };
+    });
+    
+    if (pageAnalysis.hasError) {
+      console.warn(`⚠️ Website appears to have backend issues: ${pageAnalysis.errorType}`);
+      console.warn(`📄 Page content preview: "${pageAnalysis.preview}"`);
+      
+      // Still proceed with scan - we can analyze the error page for accessibility
+      console.log(`🔍 Proceeding with accessibility scan of error page content`);
+    } else if (!pageAnalysis.hasContent) {
+      console.warn(`⚠️ Page appears to have loaded but contains minimal content`);
+    } else {
+      console.log(`📄 Page loaded successfully: "${pageAnalysis.title}" (${pageAnalysis.bodyLength} characters)`);
+    }
+    
+    return {
+      loaded: true,
+      title: pageAnalysis.title,
+      contentLength: pageAnalysis.bodyLength,
+      hasError: pageAnalysis.hasError,
+      errorType: pageAnalysis.errorType,
+      note: pageAnalysis.hasError ? 
+        'Website has backend issues, but accessibility scan was performed on available content' : 
+        'Website loaded successfully'
+    };
+    
+  } catch (loadStateError) {
+    console.warn(`⚠️ Load state check failed, continuing anyway:`, loadStateError.message);
+    return {
+      loaded: false,
+      error: 'Could not verify page load state',
+      note: 'Accessibility scan attempted despite load issues'
+    };
+  }
+};
+
+// Per-rule outcome counts so a report shows what was checked, not only what failed.
+// Totals count rules; the per-rule violations, incomplete and passes count nodes.
+const summarizeAxeCoverage = ({ violations = [], incomplete = [], passes = [], inapplicable = [] }) => {
+  const rules = new Map();
+  const countNodes = (items, field) => {
+    items.forEach(item => {
+      const rule = rules.get(item.id) || {
+        id: item.id,
+        help: item.help,
+        helpUrl: item.helpUrl,
+        violations: 0,
+        incomplete: 0,
+        passes: 0,
+        inapplicable: false
+      };
+      if (field === 'inapplicable') {
+        rule.inapplicable = true;
+      } else {
+        rule[field] += item.nodeCount ?? item.nodes?.length ?? 0;
+      }
+      rules.set(item.id, rule);
+    });
+  };
+  
+  countNodes(violations, 'violations');
+  countNodes(incomplete, 'incomplete');
+  countNodes(passes, 'passes');
+  countNodes(inapplicable, 'inapplicable');
+  
+  return {
+    totals: {
+      rules: rules.size,
+      violations: violations.length,
+      incomplete: incomplete.length,
+      passes: passes.length,
+      inapplicable: inapplicable.length
+    },
+    rules: Array.from(rules.values()).sort((a, b) => a.id.localeCompare(b.id))
+  };
+};
+
+// Inject axe-core and run the configured rule set against the current document.
+// Violations and incomplete ("needs review") results keep their nodes; passes only
+// keep a node count and inapplicable rules are listed without nodes.
+const runAxe = async (page, configuration = buildAxeConfiguration()) => {
+  await page.addScriptTag({ content: axeSource });
+  const result = await page.evaluate(async ({ tags, enableRules, disableRules }) => {
+    const rules = {};
+    enableRules.forEach(id => { rules[id] = { enabled: true }; });
+    disableRules.forEach(id => { rules[id] = { enabled: false }; });
+    
+    const axeResult = await window.axe.run(document, {
+      runOnly: { type: 'tag', values: tags },
+      rules
+    });
+    
+    const summarize = ({ id, impact, tags, description, help, helpUrl, nodes }) => ({
+      id, impact, tags, description, help, helpUrl, nodeCount: nodes.length
+    });
+    
+    return {
+      ...axeResult,
+      passes: axeResult.passes.map(summarize),
+      inapplicable: axeResult.inapplicable.map(summarize)
+    };
+  }, configuration);
+  
+  result.coverage = summarizeAxeCoverage(result);
+  return result;
+};
+
+const runAccessibilityAudit = async (page, websiteStatus, configuration = buildAxeConfiguration()) => {
+  try {
+    const accessibilityResult = await runAxe(page, configuration);
+    accessibilityResult.configuration = configuration;
+    
+    // Add context for error pages
+    if (websiteStatus?.hasError) {
+      accessibilityResult.note = 'Accessibility audit performed on error page content. Results may not represent the actual website functionality.';
+      accessibilityResult.recommendation = 'Fix the website backend issues first, then re-run accessibility scan on the working website.';
+    }
+    
+    console.log(`✅ Accessibility audit completed: ${accessibilityResult.violations?.length || 0} violations, ${accessibilityResult.incomplete?.length || 0} need review`);
+    
+    if (websiteStatus?.hasError) {
+      console.log(`ℹ️ Note: Scan performed on error page due to website backend issues`);
+    }
+    
+    return accessibilityResult;
+    
+  } catch (error) {
+    console.error('❌ Accessibility audit failed:', error.message);
+    return { 
+      error: 'Failed to run accessibility audit: ' + error.message,
+      violations: [],
+      incomplete: [],
+      configuration
+    };
+  }
+};
+
+// Screenshot each failing node with some padding and attach it to the node as
+// node.screenshot ({ id, url, width, height, highlight }). highlight is the element's
+// box inside the cropped image.
+const captureElementScreenshots = async (page, violations) => {
+  let captured = 0;
+  
+  try {
+    for (const violation of violations) {
+      for (const node of violation.nodes.slice(0, CONFIG.MAX_SCREENSHOTS_PER_RULE)) {
+        if (captured >= CONFIG.MAX_ELEMENT_SCREENSHOTS) return captured;
+        // Targets inside iframes or shadow roots are selector chains that Playwright cannot use directly
+        if (node.target.length !== 1 || typeof node.target[0] !== 'string') continue;
+        
+        try {
+          const element = page.locator(node.target[0]).first();
+          await element.scrollIntoViewIfNeeded({ timeout: 2000 });
+          const box = await element.boundingBox();
+          if (!box || box.width === 0 || box.height === 0) continue;
+          
+          const viewport = page.viewportSize();
+          const padding = CONFIG.SCREENSHOT_PADDING;
+          const x = Math.max(0, Math.floor(box.x - padding));
+          const y = Math.max(0, Math.floor(box.y - padding));
+          const clip = {
+            x,
+            y,
+            width: Math.min(viewport.width, Math.ceil(box.x + box.width + padding)) - x,
+            height: Math.min(viewport.height, Math.ceil(box.y + box.height + padding)) - y
+          };
+          if (clip.width <= 0 || clip.height <= 0) continue;
+          
+          const buffer = await page.screenshot({ clip, type: 'jpeg', quality: 70, timeout: 5000 });
+          node.screenshot = {
+            ...storeScreenshot(buffer),
+            width: clip.width,
+            height: clip.height,
+            highlight: {
+              x: Math.round(box.x - x),
+              y: Math.round(box.y - y),
+              width: Math.round(Math.min(box.width, clip.width)),
+              height: Math.round(Math.min(box.height, clip.height))
+            }
+          };
+          captured++;
+        } catch {
+          // Node is hidden, detached or not scrollable into view; skip its screenshot
+        }
+      }
+    }
+    return captured;
+  } finally {
+    await page.evaluate(() => window.scrollTo(0, 0)).catch(() => {});
+  }
+};
+
+// Screenshot of the whole page, cut off at MAX_FULL_PAGE_HEIGHT. fullWidth includes
+// content that overflows the viewport horizontally.
+const captureFullPage = async (page, { fullWidth = false } = {}) => {
+  const { pageWidth, pageHeight } = await page.evaluate((fullWidth) => ({
+    pageWidth: fullWidth
+      ? Math.max(document.documentElement.scrollWidth, document.body?.scrollWidth || 0)
+      : document.documentElement.clientWidth,
+    pageHeight: Math.max(document.documentElement.scrollHeight, document.body?.scrollHeight || 0)
+  }), fullWidth);
+  
+  const height = Math.min(pageHeight, CONFIG.MAX_FULL_PAGE_HEIGHT);
+  const buffer = await page.screenshot({
+    fullPage: true,
+    clip: { x: 0, y: 0, width: pageWidth, height },
+    type: 'jpeg',
+    quality: 60,
+    timeout: 20000
+  });
+  
+  return {
+    ...storeScreenshot(buffer),
+    width: pageWidth,
+    height,
+    truncated: pageHeight > height
+  };
+};
+
+// Full-page screenshot plus the document-relative box of every violation node, so the
+// report can show what was scanned without loading the live site again
+const captureAnnotatedPage = async (page, violations) => {
+  try {
+    const targets = violations.flatMap(violation => violation.nodes.map((node, nodeIndex) => ({
+      ruleId: violation.id,
+      help: violation.help,
+      impact: violation.impact,
+      nodeIndex,
+      target: node.target
+    })));
+    
+    const boxes = await page.evaluate((targets) => {
+      const boxes = [];
+      targets.forEach(item => {
+        // Targets inside iframes or shadow roots are selector chains; only plain ones are located
+        if (item.target.length !== 1 || typeof item.target[0] !== 'string') return;
+        let el;
+        try {
+          el = document.querySelector(item.target[0]);
+        } catch {
+          return;
+        }
+        if (!el) return;
+        const rect = el.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0) return;
+        boxes.push({
+          ...item,
+          target: item.target[0],
+          x: Math.round(rect.left + window.scrollX),
+          y: Math.round(rect.top + window.scrollY),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height)
+        });
+      });
+      return boxes;
+    }, targets);
+    
+    const screenshot = await captureFullPage(page);
+    return {
+      ...screenshot,
+      boxes: boxes.filter(box => box.y < screenshot.height)
+    };
+    
+  } catch (error) {
+    console.warn('⚠️ Full-page screenshot failed:', error.message);
+    return { error: 'Failed to capture full-page screenshot: ' + error.message, boxes: [] };
+  }
+};
+
+// '#ABC' -> '#aabbcc', the form colors read from the page are compared in
+const normalizeHex = (hex) => {
+  const digits = hex.slice(1).toLowerCase();
+  return '#' + (digits.length === 3 ? digits.split('').map(digit => digit + digit).join('') : digits);
+};
+
+const hexToRgb = (hex) => {
+  const value = parseInt(normalizeHex(hex).slice(1), 16);
+  return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+};
+
+const rgbToHex = ({ r, g, b }) => '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+
+// WCAG relative luminance and contrast ratio (same formulas as the in-page helpers)
+const relativeLuminance = ({ r, g, b }) => {
+  const [lr, lg, lb] = [r, g, b].map(v => {
+    v /= 255;
+    return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  });
+  return lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+};
+
+const getContrastRatio = (hexA, hexB) => {
+  const [light, dark] = [relativeLuminance(hexToRgb(hexA)), relativeLuminance(hexToRgb(hexB))].sort((x, y) => y - x);
+  return (light + 0.05) / (dark + 0.05);
+};
+
+const roundRatio = (ratio) => Math.floor(ratio * 100) / 100;
+
+const rgbToHsl = ({ r, g, b }) => {
+  const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l };
+  
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  const h = max === rn ? (gn - bn) / d + (gn < bn ? 6 : 0)
+    : max === gn ? (bn - rn) / d + 2
+    : (rn - gn) / d + 4;
+  return { h: h / 6, s, l };
+};
+
+const hslToRgb = ({ h, s, l }) => {
+  if (s === 0) return { r: l * 255, g: l * 255, b: l * 255 };
+  
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const hue = (t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return { r: hue(h + 1 / 3) * 255, g: hue(h) * 255, b: hue(h - 1 / 3) * 255 };
+};
+
+// The shade of hex closest in lightness (same hue and saturation) that reaches the
+// required contrast against other; null when even black or white would not
+const findPassingShade = (hex, other, required) => {
+  const hsl = rgbToHsl(hexToRgb(hex));
+  for (let step = 0.005; step <= 1; step += 0.005) {
+    const candidates = [hsl.l - step, hsl.l + step]
+      .filter(l => l >= 0 && l <= 1)
+      .map(l => rgbToHex(hslToRgb({ ...hsl, l })))
+      .filter(candidate => getContrastRatio(candidate, other) >= required);
+    if (candidates.length > 0) {
+      return { hex: candidates[0], contrast: roundRatio(getContrastRatio(candidates[0], other)) };
+    }
+  }
+  return null;
+};
+
+// Best text color on a background: the highest-contrast brand color that passes, else black or white
+const findBestTextColor = (background, brandColors, required) => {
+  const byContrast = (colors) => colors
+    .map(hex => ({ hex, contrast: roundRatio(getContrastRatio(hex, background)) }))
+    .sort((a, b) => b.contrast - a.contrast);
+  const brand = byContrast(brandColors.filter(hex => hex !== background)).find(option => option.contrast >= required);
+  return brand || byContrast(['#000000', '#ffffff'])[0];
+};
+
+// Actionable fixes for a contrast issue: a passing shade of whichever side is a brand
+// color, and the best text color for a brand background
+const suggestContrastFixes = (issue, brandColors) => {
+  const suggestions = {};
+  if (brandColors.includes(issue.color)) {
+    suggestions.color = findPassingShade(issue.color, issue.background, issue.required);
+  }
+  if (brandColors.includes(issue.background)) {
+    suggestions.background = findPassingShade(issue.background, issue.color, issue.required);
+    suggestions.textColor = findBestTextColor(issue.background, brandColors, issue.required);
+  }
+  return suggestions;
+};
+
+// Contrast of text drawn in or on a brand color, against the background actually behind it
+const runBrandColorAudit = async (page, brandColors) => {
+  try {
+    const brandHexes = brandColors.map(normalizeHex);
+    await page.evaluate(installPageHelpers);
+    
+    const issues = await page.evaluate((brandColors) => {
+      const { selector, hasOwnText, isInteractive, parseColor, blend, effectiveBackground, contrastRatio, toHex, isLargeText } = window.__a11yScan;
+      
+      function rgbToHex(rgb) {
+        const color = parseColor(rgb);
+        return color && color.a > 0 ? toHex(color) : null;
+      }
+      
+      // Collect all visible elements and their colors
+      const all = Array.from(document.querySelectorAll('*')).filter(el => {
+        const rect = el.getBoundingClientRect();
+        return rect.width > 0 && rect.height > 0;
+      });
+      
+      const issues = [];
+      
+      // Analyze each element that renders text of its own
+      all.forEach(el => {
+        try {
+          if (!hasOwnText(el)) return;
+          
+          const style = window.getComputedStyle(el);
+          const text = parseColor(style.color);
+          if (!text) return;
+          
+          const { color: background, imageBehind } = effectiveBackground(el);
+          // Semi-transparent text is seen blended with what is behind it
+          const foreground = blend(text, background);
+          const colorHex = toHex(text);
+          const bgHex = toHex(background);
+          
+          if (!brandColors.includes(colorHex) && !brandColors.includes(bgHex)) return;
+          // Text over images and gradients can't be judged from colors alone
+          if (imageBehind) return;
+          
+          const contrastRatioValue = contrastRatio(foreground, background);
+          const largeText = isLargeText(style);
+          const minContrast = largeText ? 3.0 : 4.5; // WCAG AA
+          
+          if (contrastRatioValue < minContrast) {
+            const rounded = Math.floor(contrastRatioValue * 100) / 100;
+            issues.push({
+              type: 'contrast',
+              element: el.tagName.toLowerCase() + (el.className && typeof el.className === 'string' ? '.' + Array.from(el.classList).join('.') : ''),
+              selector: selector(el),
+              color: colorHex,
+              background: bgHex,
+              contrast: rounded,
+              required: minContrast,
+              largeText,
+              fontSize: style.fontSize,
+              fontWeight: style.fontWeight,
+              message: `Low contrast (${rounded}:1) for brand color. Requires ${minContrast}:1 minimum for ${largeText ? 'large' : 'normal'} text.`,
+              isInteractive: isInteractive(el)
+            });
+          }
+        } catch (e) {
+          // Skip elements that cause errors
+        }
+      });
+      
+      // Check brand color usage patterns
+      brandColors.forEach(brand => {
+        let usedInteractive = false, usedNonInteractive = false;
+        
+        all.forEach(el => {
+          try {
+            const style = window.getComputedStyle(el);
+            const colorHex = rgbToHex(style.color);
+            const bgHex = rgbToHex(style.backgroundColor);
+            
+            if (colorHex === brand || bgHex === brand) {
+              if (isInteractive(el)) {
+                usedInteractive = true;
+              } else {
+                usedNonInteractive = true;
+              }
+            }
+          } catch (e) {
+            // Skip elements that cause errors
+          }
+        });
+        
+        if (usedInteractive && usedNonInteractive) {
+          issues.push({
+            type: 'usage',
+            brand,
+            message: `Brand color ${brand} used for both interactive and non-interactive elements. Consider using different shades or additional visual cues.`
+          });
+        }
+      });
+      
+      return issues;
+    }, brandHexes);
+    
+    issues.forEach(issue => {
+      if (issue.type === 'contrast') {
+        issue.suggestions = suggestContrastFixes(issue, brandHexes);
+      }
+    });
+    
+    console.log(`✅ Brand color audit completed: ${issues?.length || 0} issues found`);
+    return issues;
+    
+  } catch (error) {
+    console.error('❌ Brand color audit failed:', error.message);
+    return [{
+      type: 'error',
+      message: 'Failed to analyze brand colors: ' + error.message
+    }];
+  }
+};
+
+// Color vision deficiencies Chromium can emulate (Emulation.setEmulatedVisionDeficiency), with
+// the Machado et al. (2009) full-severity matrices in linear RGB used to compare brand colors
+const CVD_SIMULATIONS = {
+  protanopia: {
+    label: 'Protanopia (no red cones)',
+    matrix: [[0.152286, 1.052583, -0.204868], [0.114503, 0.786281, 0.099216], [-0.003882, -0.048116, 1.051998]]
+  },
+  deuteranopia: {
+    label: 'Deuteranopia (no green cones)',
+    matrix: [[0.367322, 0.860646, -0.227968], [0.280085, 0.672501, 0.047413], [-0.011820, 0.042940, 0.968881]]
+  },
+  tritanopia: {
+    label: 'Tritanopia (no blue cones)',
+    matrix: [[1.255528, -0.076749, -0.178779], [-0.078411, 0.930809, 0.147602], [0.004733, 0.691367, 0.303900]]
+  },
+  achromatopsia: {
+    label: 'Achromatopsia (no color)',
+    matrix: [[0.2126, 0.7152, 0.0722], [0.2126, 0.7152, 0.0722], [0.2126, 0.7152, 0.0722]]
+  }
+};
+
+const toLinear = v => {
+  v /= 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+};
+const fromLinear = v => {
+  const c = Math.min(1, Math.max(0, v));
+  return 255 * (c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+};
+
+const simulateColorVision = (hex, type) => {
+  const { r, g, b } = hexToRgb(hex);
+  const linear = [toLinear(r), toLinear(g), toLinear(b)];
+  const [sr, sg, sb] = CVD_SIMULATIONS[type].matrix.map(row => row.reduce((sum, weight, i) => sum + weight * linear[i], 0));
+  return rgbToHex({ r: fromLinear(sr), g: fromLinear(sg), b: fromLinear(sb) });
+};
+
+// CIE76 color difference (delta E) between two hex colors, via CIELAB under D65
+const colorDifference = (hexA, hexB) => {
+  const toLab = (hex) => {
+    const { r, g, b } = hexToRgb(hex);
+    const [lr, lg, lb] = [r, g, b].map(toLinear);
+    const xyz = [
+      (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047,
+      lr * 0.2126 + lg * 0.7152 + lb * 0.0722,
+      (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883
+    ].map(t => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116));
+    return [116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+  };
+  const [a, b] = [toLab(hexA), toLab(hexB)];
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+};
+
+// Screenshots of the page as seen with each color vision deficiency, plus the brand color
+// pairs that are distinct normally but merge under a simulation, with where they are used
+const runColorVisionAudit = async (page, brandColors = []) => {
+  let client = null;
+  
+  try {
+    const brandHexes = [...new Set(brandColors.map(normalizeHex))];
+    const confusablePairs = [];
+    
+    brandHexes.forEach((first, i) => {
+      brandHexes.slice(i + 1).forEach(second => {
+        if (colorDifference(first, second) < CONFIG.CVD_MIN_COLOR_DIFFERENCE) return;
+        
+        Object.keys(CVD_SIMULATIONS).forEach(simulation => {
+          const simulated = [simulateColorVision(first, simulation), simulateColorVision(second, simulation)];
+          const difference = colorDifference(...simulated);
+          if (difference < CONFIG.CVD_MIN_COLOR_DIFFERENCE) {
+            confusablePairs.push({
+              simulation,
+              colors: [first, second],
+              simulated,
+              difference: Math.round(difference * 10) / 10
+            });
+          }
+        });
+      });
+    });
+    
+    // Elements painted in a confusable color (text, background or border), with page-relative boxes
+    const confusableColors = [...new Set(confusablePairs.flatMap(pair => pair.colors))];
+    let elements = {};
+    if (confusableColors.length > 0) {
+      await page.evaluate(installPageHelpers);
+      elements = await page.evaluate(({ colors, limit }) => {
+        const { selector, isVisible, hasOwnText, parseColor, toHex } = window.__a11yScan;
+        const found = Object.fromEntries(colors.map(color => [color, []]));
+        const hexOf = (value) => {
+          const color = parseColor(value);
+          return color && color.a > 0 ? toHex(color) : null;
+        };
+        
+        for (const el of document.body.querySelectorAll('*')) {
+          if (!isVisible(el)) continue;
+          const style = getComputedStyle(el);
+          const used = new Set([
+            hexOf(style.backgroundColor),
+            hasOwnText(el) ? hexOf(style.color) : null,
+            parseFloat(style.borderTopWidth) > 0 ? hexOf(style.borderTopColor) : null,
+            el instanceof SVGElement ? hexOf(style.fill) : null
+          ]);
+          
+          used.forEach(hex => {
+            if (!found[hex] || found[hex].length >= limit) return;
+            const rect = el.getBoundingClientRect();
+            found[hex].push({
+              selector: selector(el),
+              x: Math.round(rect.left + window.scrollX),
+              y: Math.round(rect.top + window.scrollY),
+              width: Math.round(rect.width),
+              height: Math.round(rect.height)
+            });
+          });
+        }
+        return found;
+      }, { colors: confusableColors, limit: CONFIG.CVD_MAX_ELEMENTS_PER_COLOR });
+    }
+    confusablePairs.forEach(pair => {
+      pair.elements = pair.colors.flatMap(color => (elements[color] || []).map(element => ({ color, ...element })));
+    });
+    
+    client = await page.context().newCDPSession(page);
+    const simulations = [];
+    for (const [type, { label }] of Object.entries(CVD_SIMULATIONS)) {
+      await client.send('Emulation.setEmulatedVisionDeficiency', { type });
+      simulations.push({ type, label, screenshot: await captureFullPage(page) });
+    }
+    
+    return { simulations, confusablePairs };
+    
+  } catch (error) {
+    console.warn('⚠️ Color vision audit failed:', error.message);
+    return { error: 'Failed to simulate color vision deficiencies: ' + error.message, simulations: [], confusablePairs: [] };
+  } finally {
+    if (client) {
+      await client.send('Emulation.setEmulatedVisionDeficiency', { type: 'none' }).catch(() => {});
+      await client.detach().catch(() => {});
+    }
+  }
+};
+
+// Renderings the reflow audit compares with the page as scanned. reflow matches 1280px
+// zoomed to 400% (WCAG 1.4.10); text-resize doubles every font size (WCAG 1.4.4).
+const REFLOW_CONDITIONS = {
+  reflow: { label: '320 CSS px wide', width: 320, textZoom: 1 },
+  'text-resize': { label: '200% text size', textZoom: 2 }
+};
+
+// Text zoom without a browser setting for it: pin every element's font size and pixel line
+// height to factor times its computed value. factor 1 restores the original style attributes.
+// Runs inside the page.
+const setTextZoom = (factor) => {
+  if (factor === 1) {
+    window.__a11yTextZoom?.forEach((style, el) => {
+      if (style === null) el.removeAttribute('style');
+      else el.setAttribute('style', style);
+    });
+    delete window.__a11yTextZoom;
+    return;
+  }
+  
+  const elements = Array.from(document.querySelectorAll('body, body *'));
+  // Read every size before writing any, so inherited sizes aren't scaled twice
+  const sizes = elements.map(el => {
+    const style = getComputedStyle(el);
+    return { fontSize: parseFloat(style.fontSize), lineHeight: style.lineHeight };
+  });
+  window.__a11yTextZoom = new Map();
+  elements.forEach((el, i) => {
+    if (!el.style) return;
+    window.__a11yTextZoom.set(el, el.getAttribute('style'));
+    el.style.setProperty('font-size', `${sizes[i].fontSize * factor}px`, 'important');
+    if (sizes[i].lineHeight.endsWith('px')) {
+      el.style.setProperty('line-height', `${parseFloat(sizes[i].lineHeight) * factor}px`, 'important');
+    }
+  });
+};
+
+// Layout of the page's text and of anything wider than the viewport. Each text element
+// has its own text's line boxes (page-relative), whether it is visible, whether its text
+// spills out of its own box and whether a hidden-overflow box cuts it off. Runs inside the
+// page after installPageHelpers.
+const collectReflowState = (limit) => {
+  const { selector, isVisible, hasOwnText } = window.__a11yScan;
+  const root = document.documentElement;
+  const clientWidth = root.clientWidth;
+  const scrollWidth = Math.max(root.scrollWidth, document.body?.scrollWidth || 0);
+  const clips = (style) => ['hidden', 'clip'].includes(style.overflowX) || ['hidden', 'clip'].includes(style.overflowY);
+  const toPage = (rect) => ({
+    x: Math.round(rect.left + window.scrollX),
+    y: Math.round(rect.top + window.scrollY),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height)
+  });
+  
+  const lineRects = (el) => {
+    const rects = [];
+    const range = document.createRange();
+    el.childNodes.forEach(node => {
+      if (node.nodeType !== Node.TEXT_NODE || !node.textContent.trim()) return;
+      range.selectNodeContents(node);
+      Array.from(range.getClientRects()).forEach(rect => {
+        if (rect.width > 0 && rect.height > 0 && rects.length < 20) rects.push(toPage(rect));
+      });
+    });
+    return rects;
+  };
+  
+  // Text cut off by its own box or by the nearest ancestor that hides overflow
+  const isClipped = (el, rects) => {
+    const style = getComputedStyle(el);
+    if (clips(style) && (el.scrollWidth > el.clientWidth + 1 || el.scrollHeight > el.clientHeight + 1)) return true;
+    for (let ancestor = el.parentElement; ancestor && ancestor !== document.body; ancestor = ancestor.parentElement) {
+      if (!clips(getComputedStyle(ancestor))) continue;
+      const box = toPage(ancestor.getBoundingClientRect());
+      return rects.some(rect => 
+        rect.x < box.x - 1 || rect.y < box.y - 1 ||
+        rect.x + rect.width > box.x + box.width + 1 || rect.y + rect.height > box.y + box.height + 1
+      );
+    }
+    return false;
+  };
+  
+  // Inline elements have no box of their own to overflow
+  const spillsOut = (el) => el.clientHeight > 0 && (el.scrollWidth > el.clientWidth + 1 || el.scrollHeight > el.clientHeight + 1);
+  
+  const texts = [];
+  const overflowing = [];
+  for (const el of document.body.querySelectorAll('*')) {
+    if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'].includes(el.tagName)) continue;
+    
+    // Outermost elements past the right edge, unless a scrolling or clipping box contains them
+    if (scrollWidth > clientWidth + 1 && overflowing.length < 50 && isVisible(el) &&
+        el.getBoundingClientRect().right > clientWidth + 1 &&
+        !overflowing.some(item => item.el.contains(el))) {
+      let contained = false;
+      for (let ancestor = el.parentElement; ancestor && ancestor !== document.body; ancestor = ancestor.parentElement) {
+        if (getComputedStyle(ancestor).overflowX !== 'visible') {
+          contained = true;
+          break;
+        }
+      }
+      if (!contained) overflowing.push({ el, selector: selector(el), box: toPage(el.getBoundingClientRect()) });
+    }
+    
+    if (texts.length >= limit || !hasOwnText(el)) continue;
+    const rects = isVisible(el) ? lineRects(el) : [];
+    texts.push({
+      selector: selector(el),
+      text: el.textContent.trim().replace(/\s+/g, ' ').slice(0, 80),
+      visible: rects.length > 0,
+      overflows: rects.length > 0 && spillsOut(el),
+      clipped: rects.length > 0 && isClipped(el, rects),
+      rects
+    });
+  }
+  
+  return {
+    clientWidth,
+    scrollWidth,
+    texts,
+    overflowing: overflowing.map(({ selector, box }) => ({ selector, box }))
+  };
+};
+
+// Smallest box around a list of page-relative rects
+const unionBox = (rects) => {
+  const x = Math.min(...rects.map(r => r.x));
+  const y = Math.min(...rects.map(r => r.y));
+  return {
+    x,
+    y,
+    width: Math.max(...rects.map(r => r.x + r.width)) - x,
+    height: Math.max(...rects.map(r => r.y + r.height)) - y
+  };
+};
+
+// Pairs of text elements whose line boxes cover each other, keyed "selectorA|selectorB".
+// Lines touching at an edge, or overlapping by less than a quarter of their height, don't count.
+const findTextOverlaps = (texts) => {
+  const overlaps = new Map();
+  const lines = texts
+    .filter(text => text.visible)
+    .flatMap(text => text.rects.map(rect => ({ text, rect })))
+    .sort((a, b) => a.rect.y - b.rect.y);
+  
+  lines.forEach((line, i) => {
+    for (let j = i + 1; j < lines.length && lines[j].rect.y < line.rect.y + line.rect.height; j++) {
+      const other = lines[j];
+      if (other.text === line.text) continue;
+      const width = Math.min(line.rect.x + line.rect.width, other.rect.x + other.rect.width) - Math.max(line.rect.x, other.rect.x);
+      const height = Math.min(line.rect.y + line.rect.height, other.rect.y + other.rect.height) - other.rect.y;
+      if (width <= 2 || height < Math.min(line.rect.height, other.rect.height) / 4) continue;
+      
+      const [first, second] = [line.text, other.text].sort((a, b) => a.selector.localeCompare(b.selector));
+      const key = `${first.selector}|${second.selector}`;
+      if (!overlaps.has(key)) overlaps.set(key, { first, second });
+    }
+  });
+  return overlaps;
+};
+
+// What broke between the page as scanned (before) and a re-rendering of it (after).
+// Only problems the re-rendering introduced are reported.
+const compareReflowStates = (before, after) => {
+  const issues = [];
+  const beforeTexts = new Map(before.texts.map(text => [text.selector, text]));
+  const afterTexts = new Map(after.texts.map(text => [text.selector, text]));
+  
+  after.overflowing.forEach(({ selector, box }) => {
+    issues.push({
+      type: 'horizontal-scroll',
+      selector,
+      message: `Extends ${box.x + box.width - after.clientWidth}px past the ${after.clientWidth}px wide viewport`,
+      before: beforeTexts.get(selector)?.visible ? unionBox(beforeTexts.get(selector).rects) : null,
+      after: box
+    });
+  });
+  
+  before.texts.forEach(text => {
+    if (!text.visible) return;
+    const current = afterTexts.get(text.selector);
+    if (!current?.visible) {
+      issues.push({
+        type: 'hidden',
+        selector: text.selector,
+        text: text.text,
+        message: 'Text that was shown before is hidden or removed; check it is still reachable, e.g. in a menu',
+        before: unionBox(text.rects),
+        after: null
+      });
+    } else if (current.clipped && !text.clipped) {
+      issues.push({
+        type: 'clipped',
+        selector: text.selector,
+        text: text.text,
+        message: 'Text is cut off by a box that hides its overflow',
+        before: unionBox(text.rects),
+        after: unionBox(current.rects)
+      });
+    } else if (current.overflows && !text.overflows) {
+      issues.push({
+        type: 'overflow',
+        selector: text.selector,
+        text: text.text,
+        message: 'Text no longer fits in its box and spills out of it',
+        before: unionBox(text.rects),
+        after: unionBox(current.rects)
+      });
+    }
+  });
+  
+  const overlapsBefore = findTextOverlaps(before.texts);
+  findTextOverlaps(after.texts).forEach(({ first, second }, key) => {
+    if (overlapsBefore.has(key)) return;
+    const firstBefore = beforeTexts.get(first.selector);
+    const secondBefore = beforeTexts.get(second.selector);
+    issues.push({
+      type: 'overlap',
+      selector: first.selector,
+      otherSelector: second.selector,
+      text: first.text,
+      message: `Text overlaps "${second.text}"`,
+      before: firstBefore?.visible && secondBefore?.visible ? unionBox([...firstBefore.rects, ...secondBefore.rects]) : null,
+      after: unionBox([...first.rects, ...second.rects])
+    });
+  });
+  
+  return issues;
+};
+
+// Measure the page as it is rendered now against the state collected before, and take a
+// full-width screenshot to show the issues on
+const measureRenderingChanges = async (page, before) => {
+  const after = await page.evaluate(collectReflowState, CONFIG.REFLOW_MAX_TEXT_ELEMENTS);
+  const issues = compareReflowStates(before, after);
+  return {
+    horizontalScroll: after.scrollWidth > after.clientWidth + 1
+      ? { scrollWidth: after.scrollWidth, clientWidth: after.clientWidth }
+      : null,
+    issueCount: issues.length,
+    issues: issues.slice(0, CONFIG.REFLOW_MAX_ISSUES),
+    screenshot: await captureFullPage(page, { fullWidth: true })
+  };
+};
+
+// Re-render the scanned page at 320 CSS px wide and at 200% text size, and report content
+// that scrolls sideways, is cut off, overlaps other text or disappears. Uses the scan's own
+// page and puts its viewport and text size back afterwards.
+const runReflowAudit = async (page) => {
+  const viewport = page.viewportSize();
+  
+  try {
+    await page.evaluate(installPageHelpers);
+    const before = await page.evaluate(collectReflowState, CONFIG.REFLOW_MAX_TEXT_ELEMENTS);
+    const beforeScreenshot = await captureFullPage(page, { fullWidth: true });
+    const conditions = [];
+    
+    for (const [type, { label, width, textZoom }] of Object.entries(REFLOW_CONDITIONS)) {
+      const condition = { type, label, viewport: { width: width || viewport.width, height: viewport.height }, textZoom };
+      
+      try {
+        if (width) await page.setViewportSize(condition.viewport);
+        if (textZoom !== 1) await page.evaluate(setTextZoom, textZoom);
+        // Give resize listeners and responsive images time to settle
+        await page.waitForTimeout(500);
+        
+        Object.assign(condition, await measureRenderingChanges(page, before));
+      } catch (error) {
+        console.warn(`⚠️ Reflow condition ${type} failed:`, error.message);
+        condition.error = error.message;
+      } finally {
+        await page.evaluate(setTextZoom, 1).catch(() => {});
+        await page.setViewportSize(viewport).catch(() => {});
+        await page.evaluate(() => window.scrollTo(0, 0)).catch(() => {});
+      }
+      
+      conditions.push(condition);
+    }
+    
+    return { before: { viewport, screenshot: beforeScreenshot }, conditions };
+    
+  } catch (error) {
+    console.warn('⚠️ Reflow audit failed:', error.message);
+    return { error: 'Failed to check reflow and text resize: ' + error.message, conditions: [] };
+  }
+};
+
+// The WCAG 1.4.12 text spacing a user may apply with a stylesheet or bookmarklet
+const TEXT_SPACING_CSS = `
+* {
+  line-height: 1.5 !important;
+  letter-spacing: 0.12em !important;
+  word-spacing: 0.16em !important;
+}
+p {
+  margin-bottom: 2em !important;
+}
+`;
+
+// Inject the WCAG 1.4.12 text spacing into the scanned page and report text that is cut
+// off, spills out of its box, overlaps other text or disappears. The stylesheet is removed
+// again before the next audit runs.
+const runTextSpacingAudit = async (page) => {
+  let styleTag = null;
+  
+  try {
+    await page.evaluate(installPageHelpers);
+    const before = await page.evaluate(collectReflowState, CONFIG.REFLOW_MAX_TEXT_ELEMENTS);
+    const beforeScreenshot = await captureFullPage(page, { fullWidth: true });
+    
+    styleTag = await page.addStyleTag({ content: TEXT_SPACING_CSS });
+    await page.waitForTimeout(300);
+    
+    return {
+      before: { screenshot: beforeScreenshot },
+      ...await measureRenderingChanges(page, before)
+    };
+    
+  } catch (error) {
+    console.warn('⚠️ Text spacing audit failed:', error.message);
+    return { error: 'Failed to check text spacing: ' + error.message, issueCount: 0, issues: [] };
+  } finally {
+    if (styleTag) {
+      await styleTag.evaluate(el => el.remove()).catch(() => {});
+      await styleTag.dispose().catch(() => {});
+    }
+    await page.evaluate(() => window.scrollTo(0, 0)).catch(() => {});
+  }
+};
+
+// Measure every interactive element against the WCAG 2.5.8 minimum target size. A target
+// under 24x24 still passes when a 24px circle centred on it touches no other target or
+// another small target's circle. Links inside a line of text and browser-styled checkboxes
+// and radio buttons are exempt. level 'aaa' also flags targets under 44x44 (2.5.5).
+const runTargetSizeAudit = async (page, level = 'aa') => {
+  try {
+    await page.evaluate(installPageHelpers);
+    const { checked, exempt, issues } = await page.evaluate(({ sizes, level, limit }) => {
+      const { selector, isVisible, isInteractive, hasOwnText, label } = window.__a11yScan;
+      
+      const targets = [];
+      let exempt = 0;
+      for (const el of document.body.querySelectorAll('*')) {
+        if (targets.length >= limit) break;
+        if (!isInteractive(el) || el.disabled || !isVisible(el)) continue;
+        
+        const style = getComputedStyle(el);
+        const inline = style.display === 'inline' && el.parentElement && hasOwnText(el.parentElement);
+        const userAgentControl = el.tagName === 'INPUT' && ['checkbox', 'radio'].includes(el.type) && style.appearance !== 'none';
+        if (inline || userAgentControl) {
+          exempt++;
+          continue;
+        }
+        
+        const rect = el.getBoundingClientRect();
+        targets.push({ el, rect, cx: rect.left + rect.width / 2, cy: rect.top + rect.height / 2 });
+      }
+      
+      const isSmall = (target, size) => target.rect.width < size || target.rect.height < size;
+      const distanceToRect = (x, y, rect) => Math.hypot(
+        Math.max(rect.left - x, 0, x - rect.right),
+        Math.max(rect.top - y, 0, y - rect.bottom)
+      );
+      const radius = sizes.aa / 2;
+      
+      // The nearest target the 24px circle of a small target runs into, if any
+      const spacingConflict = (target) => {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        targets.forEach(other => {
+          if (other === target || other.el.contains(target.el) || target.el.contains(other.el)) return;
+          const distance = isSmall(other, sizes.aa)
+            ? Math.hypot(other.cx - target.cx, other.cy - target.cy) - radius
+            : distanceToRect(target.cx, target.cy, other.rect);
+          if (distance < radius && distance < nearestDistance) {
+            nearest = other;
+            nearestDistance = distance;
+          }
+        });
+        return nearest;
+      };
+      
+      const issues = [];
+      targets.forEach(target => {
+        const { el, rect } = target;
+        let required = null;
+        let conflictsWith = null;
+        
+        if (isSmall(target, sizes.aa)) {
+          const conflict = spacingConflict(target);
+          if (conflict) {
+            required = sizes.aa;
+            conflictsWith = selector(conflict.el);
+          }
+        }
+        if (!required && level === 'aaa' && isSmall(target, sizes.aaa)) {
+          required = sizes.aaa;
+        }
+        if (!required) return;
+        
+        issues.push({
+          selector: selector(el),
+          label: label(el),
+          level: required === sizes.aaa ? 'AAA' : 'AA',
+          criterion: required === sizes.aaa ? '2.5.5' : '2.5.8',
+          required,
+          width: Math.round(rect.width * 10) / 10,
+          height: Math.round(rect.height * 10) / 10,
+          conflictsWith,
+          x: Math.round(rect.left + window.scrollX),
+          y: Math.round(rect.top + window.scrollY)
+        });
+      });
+      
+      return { checked: targets.length, exempt, issues };
+    }, { sizes: TARGET_SIZES, level, limit: CONFIG.TARGET_SIZE_MAX_TARGETS });
+    
+    issues.forEach(issue => {
+      issue.message = `Target is ${issue.width}x${issue.height}px, under the ${issue.required}x${issue.required}px ${issue.level} size` +
+        (issue.conflictsWith ? `, and too close to ${issue.conflictsWith} for the spacing exception` : '');
+    });
+    
+    const screenshot = await captureFullPage(page);
+    return {
+      level,
+      summary: {
+        targets: checked,
+        exempt,
+        belowMinimum: issues.filter(issue => issue.level === 'AA').length,
+        belowEnhanced: issues.filter(issue => issue.level === 'AAA').length
+      },
+      issues,
+      screenshot
+    };
+    
+  } catch (error) {
+    console.warn('⚠️ Target size audit failed:', error.message);
+    return { error: 'Failed to measure target sizes: ' + error.message, level, issues: [] };
+  }
+};
+
+// Check the colors that identify UI components and graphics against what is behind them
+// (WCAG 1.4.11): borders of controls that have no contrasting fill, focus outlines, SVG
+// fills and strokes, and icon-font glyphs. Anything under 3:1 is reported, with the
+// nearest passing shade of the failing color.
+const runNonTextContrastAudit = async (page) => {
+  try {
+    await page.evaluate(installPageHelpers);
+    await page.evaluate(({ required }) => {
+      const { selector, isVisible, isInteractive, label, parseColor, blend, effectiveBackground, contrastRatio, toHex } = window.__a11yScan;
+      const found = new Map();
+      let checked = 0;
+      let skipped = 0;
+      
+      const pageBox = (el) => {
+        const rect = el.getBoundingClientRect();
+        return {
+          x: Math.round(rect.left + window.scrollX),
+          y: Math.round(rect.top + window.scrollY),
+          width: Math.round(rect.width),
+          height: Math.round(rect.height)
+        };
+      };
+      
+      // Compare one color against a background and record a failure, once per
+      // type, element and color (an SVG chart reports each failing color once)
+      const check = (type, owner, value, background) => {
+        const color = parseColor(value);
+        if (!color || color.a === 0) return;
+        const shown = blend(color, background);
+        const contrast = contrastRatio(shown, background);
+        checked++;
+        if (contrast >= required) return;
+        
+        const key = `${type}|${selector(owner)}|${toHex(shown)}`;
+        if (found.has(key)) {
+          found.get(key).count++;
+          return;
+        }
+        found.set(key, {
+          type,
+          selector: selector(owner),
+          label: label(owner),
+          color: toHex(shown),
+          background: toHex(background),
+          contrast: Math.round(contrast * 100) / 100,
+          count: 1,
+          ...pageBox(owner)
+        });
+      };
+      
+      // The background right outside el, which its border and outline are seen against
+      const outerBackground = (el) => effectiveBackground(el.parentElement || el);
+      
+      // Painted SVG shapes of one graphic in paint order, with their fill and bounding box
+      const isShape = (el) => (el instanceof SVGGeometryElement || el.tagName.toLowerCase() === 'use') &&
+        !el.closest('defs, clipPath, mask, pattern, marker, symbol');
+      const svgShapes = new Map();
+      const shapesOf = (svg) => {
+        if (!svgShapes.has(svg)) {
+          svgShapes.set(svg, Array.from(svg.querySelectorAll('*')).filter(isShape).map(shape => ({
+            shape,
+            rect: shape.getBoundingClientRect(),
+            fill: parseColor(getComputedStyle(shape).fill)
+          })));
+        }
+        return svgShapes.get(svg);
+      };
+      
+      // A shape is seen against the nearest filled shape painted before it that covers its
+      // bounding box, such as a chart's plot area or an icon's circle, else the page behind
+      const shapeBackground = (el, svg, backdrop) => {
+        const shapes = shapesOf(svg);
+        const index = shapes.findIndex(entry => entry.shape === el);
+        if (index < 0) return backdrop;
+        const { rect } = shapes[index];
+        for (let i = index - 1; i >= 0; i--) {
+          const { shape, rect: under, fill } = shapes[i];
+          if (!fill || fill.a === 0) continue;
+          if (under.left <= rect.left && under.top <= rect.top && under.right >= rect.right && under.bottom >= rect.bottom) {
+            return blend(fill, shapeBackground(shape, svg, backdrop));
+          }
+        }
+        return backdrop;
+      };
+      
+      for (const el of document.body.querySelectorAll('*')) {
+        if (!isVisible(el)) continue;
+        const style = getComputedStyle(el);
+        
+        // Borders of interactive elements, unless a contrasting fill already shows the boundary.
+        // Browser-drawn checkboxes and radio buttons are left to the browser.
+        const nativeControl = ['checkbox', 'radio'].includes(el.type) && style.appearance !== 'none';
+        if (isInteractive(el) && !nativeControl && parseFloat(style.borderTopWidth) > 0 && style.borderTopStyle !== 'none') {
+          const outer = outerBackground(el);
+          if (outer.imageBehind) {
+            skipped++;
+          } else {
+            const fill = parseColor(style.backgroundColor);
+            const fillContrast = fill && fill.a > 0 ? contrastRatio(blend(fill, outer.color), outer.color) : 1;
+            if (fillContrast < required) check('border', el, style.borderTopColor, outer.color);
+          }
+        }
+        
+        // SVG shapes; definitions only paint where they are used. Graphics hidden from
+        // assistive technology are decorative, so 1.4.11 does not apply to them.
+        if (el instanceof SVGGeometryElement || el.tagName.toLowerCase() === 'use') {
+          if (!isShape(el)) continue;
+          const owner = el.ownerSVGElement || el;
+          if (el.closest('[aria-hidden="true"]') || ['none', 'presentation'].includes(owner.getAttribute('role'))) continue;
+          const { color: backdrop, imageBehind } = effectiveBackground(el);
+          if (imageBehind) {
+            skipped++;
+            continue;
+          }
+          const background = shapeBackground(el, owner, backdrop);
+          if (style.fill !== 'none') check('svg-fill', owner, style.fill, background);
+          if (style.stroke !== 'none' && parseFloat(style.strokeWidth) > 0) check('svg-stroke', owner, style.stroke, background);
+        }
+        
+        // Icon fonts: a single private-use character drawn by ::before or ::after
+        ['::before', '::after'].forEach(pseudo => {
+          const pseudoStyle = getComputedStyle(el, pseudo);
+          const glyph = pseudoStyle.content.replace(/^["']|["']$/g, '');
+          if (Array.from(glyph).length !== 1) return;
+          const code = glyph.codePointAt(0);
+          if (!((code >= 0xe000 && code <= 0xf8ff) || code >= 0xf0000)) return;
+          const { color: background, imageBehind } = effectiveBackground(el);
+          if (imageBehind) {
+            skipped++;
+            return;
+          }
+          check('icon', el, pseudoStyle.color, background);
+        });
+      }
+      
+      window.__a11yScan.nonText = { check, outerBackground, found, counts: () => ({ checked, skipped }), skip: () => skipped++ };
+    }, { required: CONTRAST_THRESHOLDS.nonText });
+    
+    // Focus outlines only show on focus. Tab through the page like a keyboard user, so
+    // :focus-visible styles apply, and read each outline a frame later, once popovers and
+    // transitions have started.
+    await page.evaluate(() => {
+      document.activeElement?.blur?.();
+      window.scrollTo(0, 0);
+    });
+    const visited = new Set();
+    let previous = null;
+    let stuckCount = 0;
+    for (let i = 0; i < CONFIG.NON_TEXT_MAX_FOCUS_CHECKS; i++) {
+      await page.keyboard.press('Tab');
+      await page.evaluate(() => new Promise(resolve => requestAnimationFrame(() => resolve())));
+      
+      const stop = await page.evaluate(() => {
+        let el = document.activeElement;
+        while (el?.shadowRoot?.activeElement) {
+          el = el.shadowRoot.activeElement;
+        }
+        if (!el || el === document.body || el === document.documentElement) return null;
+        
+        const { selector, nonText } = window.__a11yScan;
+        const key = selector(el);
+        // Tabbing inside an iframe keeps the iframe focused, and its outline was read already
+        if (el.tagName === 'IFRAME') return { key, frame: true };
+        const style = getComputedStyle(el);
+        // 'auto' is the browser's own two-tone focus ring
+        if (['none', 'auto'].includes(style.outlineStyle) || parseFloat(style.outlineWidth) === 0) return { key };
+        const outer = nonText.outerBackground(el);
+        if (outer.imageBehind) {
+          nonText.skip();
+          return { key };
+        }
+        nonText.check('focus-indicator', el, style.outlineColor, outer.color);
+        return { key };
+      });
+      
+      // Back at the start, or focus left the document
+      if (!stop || (stop.key !== previous && visited.has(stop.key))) break;
+      if (stop.key === previous && !stop.frame) {
+        // A focus trap; the keyboard audit reports those
+        if (++stuckCount >= 3) break;
+        continue;
+      }
+      stuckCount = 0;
+      visited.add(stop.key);
+      previous = stop.key;
+    }
+    
+    const { checked, skipped, issues } = await page.evaluate(() => {
+      const { nonText } = window.__a11yScan;
+      document.activeElement?.blur?.();
+      window.scrollTo(0, 0);
+      return { ...nonText.counts(), issues: Array.from(nonText.found.values()) };
+    });
+    
+    issues.forEach(issue => {
+      issue.required = CONTRAST_THRESHOLDS.nonText;
+      issue.suggestion = findPassingShade(issue.color, issue.background, CONTRAST_THRESHOLDS.nonText);
+    });
+    
+    return {
+      summary: { checked, skipped, issues: issues.length },
+      issues: issues.slice(0, CONFIG.NON_TEXT_MAX_ISSUES),
+      screenshot: issues.length > 0 ? await captureFullPage(page) : null
+    };
+    
+  } catch (error) {
+    console.warn('⚠️ Non-text contrast audit failed:', error.message);
+    return { error: 'Failed to check non-text contrast: ' + error.message, issues: [] };
+  }
+};
+
+// Marks the element whose text is hidden while its background is screenshotted
+const HIDE_TEXT_ATTRIBUTE = 'data-a11y-scan-hide-text';
+const HIDE_TEXT_CSS = `
+[${HIDE_TEXT_ATTRIBUTE}], [${HIDE_TEXT_ATTRIBUTE}] * {
+  color: transparent !important;
+  -webkit-text-fill-color: transparent !important;
+  -webkit-text-stroke: 0 !important;
+  text-shadow: none !important;
+}
+`;
+
+// Decode a PNG screenshot of a text's background and find the pixel it contrasts least
+// with. Runs inside the page, which already has an image decoder. Large clips are sampled
+// on a grid of at most maxSamples pixels.
+const samplePixelContrast = async ({ png, color, required, maxSamples }) => {
+  const { blend, contrastRatio, toHex } = window.__a11yScan;
+  const bytes = Uint8Array.from(atob(png), c => c.charCodeAt(0));
+  const bitmap = await createImageBitmap(new Blob([bytes], { type: 'image/png' }));
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0);
+  const { data, width, height } = context.getImageData(0, 0, bitmap.width, bitmap.height);
+  
+  const step = Math.max(1, Math.ceil(Math.sqrt((width * height) / maxSamples)));
+  let worst = null;
+  let samples = 0;
+  let failing = 0;
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const i = (y * width + x) * 4;
+      const background = { r: data[i], g: data[i + 1], b: data[i + 2], a: 1 };
+      const contrast = contrastRatio(blend(color, background), background);
+      samples++;
+      if (contrast < required) failing++;
+      if (!worst || contrast < worst.contrast) worst = { contrast, background };
+    }
+  }
+  
+  return {
+    worstContrast: Math.round(worst.contrast * 100) / 100,
+    worstBackground: toHex(worst.background),
+    failingShare: Math.round((failing / samples) * 1000) / 1000
+  };
+};
+
+// Contrast of text drawn on background images, gradients or <img>/<video>/<canvas>
+// elements, which computed CSS colors can't answer. Each text is screenshotted with its
+// glyphs made transparent, and the background pixels are compared with the text color.
+// Text fails when too much of its background is under the required contrast; a few dark
+// or light pixels in a photo don't make it unreadable, so the worst pixel is only a detail.
+const runImageTextContrastAudit = async (page) => {
+  let styleTag = null;
+  
+  try {
+    await page.evaluate(installPageHelpers);
+    const candidates = await page.evaluate(({ limit }) => {
+      const { selector, isVisible, hasOwnText, parseColor, effectiveBackground, isLargeText } = window.__a11yScan;
+      const media = Array.from(document.querySelectorAll('img, video, canvas, picture'))
+        .filter(isVisible)
+        .map(el => ({ el, rect: el.getBoundingClientRect() }));
+      const overlaps = (a, b) => a.left < b.right && b.left < a.right && a.top < b.bottom && b.top < a.bottom;
+      
+      const candidates = [];
+      for (const el of document.body.querySelectorAll('*')) {
+        if (candidates.length >= limit) break;
+        if (!hasOwnText(el) || !isVisible(el)) continue;
+        const color = parseColor(getComputedStyle(el).color);
+        if (!color || color.a === 0) continue;
+        
+        const rect = el.getBoundingClientRect();
+        const onMedia = media.some(item => !el.contains(item.el) && !item.el.contains(el) && overlaps(rect, item.rect));
+        if (!effectiveBackground(el).imageBehind && !onMedia) continue;
+        
+        const style = getComputedStyle(el);
+        candidates.push({
+          selector: selector(el),
+          text: el.textContent.trim().replace(/\s+/g, ' ').slice(0, 80),
+          color,
+          largeText: isLargeText(style),
+          fontSize: style.fontSize,
+          fontWeight: style.fontWeight
+        });
+      }
+      return candidates;
+    }, { limit: CONFIG.IMAGE_TEXT_MAX_ELEMENTS });
+    
+    styleTag = await page.addStyleTag({ content: HIDE_TEXT_CSS });
+    const results = [];
+    let covered = 0;
+    
+    for (const candidate of candidates) {
+      try {
+        const element = page.locator(candidate.selector).first();
+        await element.scrollIntoViewIfNeeded({ timeout: 2000 });
+        
+        // Only the lines of the element's own text, not the whole (often hero-sized) box
+        const box = await element.evaluate(el => {
+          const range = document.createRange();
+          const rects = [];
+          el.childNodes.forEach(node => {
+            if (node.nodeType !== Node.TEXT_NODE || !node.textContent.trim()) return;
+            range.selectNodeContents(node);
+            rects.push(...Array.from(range.getClientRects()).filter(rect => rect.width > 0 && rect.height > 0));
+          });
+          if (rects.length === 0) return null;
+          const left = Math.max(0, Math.min(...rects.map(r => r.left)));
+          const top = Math.max(0, Math.min(...rects.map(r => r.top)));
+          const right = Math.min(window.innerWidth, Math.max(...rects.map(r => r.right)));
+          const bottom = Math.min(window.innerHeight, Math.max(...rects.map(r => r.bottom)));
+          if (right - left < 1 || bottom - top < 1) return null;
+          // Skip text covered by a sticky header or other overlay where it was scrolled to
+          const hit = document.elementFromPoint((left + right) / 2, (top + bottom) / 2);
+          if (!hit || !el.contains(hit)) return { covered: true };
+          return { x: left, y: top, width: right - left, height: bottom - top, scrollX: window.scrollX, scrollY: window.scrollY };
+        });
+        if (box?.covered) {
+          covered++;
+          continue;
+        }
+        if (!box) continue;
+        const clip = { x: box.x, y: box.y, width: box.width, height: box.height };
+        
+        const withText = await page.screenshot({ clip, type: 'jpeg', quality: 80, timeout: 5000 });
+        await element.evaluate((el, attribute) => el.setAttribute(attribute, ''), HIDE_TEXT_ATTRIBUTE);
+        let background;
+        try {
+          background = await page.screenshot({ clip, type: 'png', timeout: 5000 });
+        } finally {
+          await element.evaluate((el, attribute) => el.removeAttribute(attribute), HIDE_TEXT_ATTRIBUTE).catch(() => {});
+        }
+        
+        const required = candidate.largeText ? CONTRAST_THRESHOLDS.aaLarge : CONTRAST_THRESHOLDS.aaNormal;
+        const sampled = await page.evaluate(samplePixelContrast, {
+          png: background.toString('base64'),
+          color: candidate.color,
+          required,
+          maxSamples: CONFIG.IMAGE_TEXT_MAX_SAMPLES
+        });
+        
+        const { color, ...details } = candidate;
+        results.push({
+          ...details,
+          color: rgbToHex(color),
+          required,
+          ...sampled,
+          passes: sampled.failingShare <= CONFIG.IMAGE_TEXT_MAX_FAILING_SHARE,
+          screenshot: { ...storeScreenshot(withText), width: Math.round(clip.width), height: Math.round(clip.height) },
+          x: Math.round(box.x + box.scrollX),
+          y: Math.round(box.y + box.scrollY),
+          width: Math.round(box.width),
+          height: Math.round(box.height)
+        });
+      } catch (error) {
+        // Element went away or can't be scrolled into view; skip it
+        console.warn(`⚠️ Could not sample background of ${candidate.selector}:`, error.message);
+      }
+    }
+    
+    return {
+      summary: {
+        candidates: candidates.length,
+        checked: results.length,
+        covered,
+        failing: results.filter(item => !item.passes).length,
+        maxFailingShare: CONFIG.IMAGE_TEXT_MAX_FAILING_SHARE
+      },
+      elements: results.sort((a, b) => b.failingShare - a.failingShare || a.worstContrast / a.required - b.worstContrast / b.required)
+    };
+    
+  } catch (error) {
+    console.warn('⚠️ Image text contrast audit failed:', error.message);
+    return { error: 'Failed to check text over images: ' + error.message, elements: [] };
+  } finally {
+    if (styleTag) {
+      await styleTag.evaluate(el => el.remove()).catch(() => {});
+      await styleTag.dispose().catch(() => {});
+    }
+    await page.evaluate(() => window.scrollTo(0, 0)).catch(() => {});
+  }
+};
+
+// In-page helpers shared by the custom audits. Runs inside the page via page.evaluate,
+// so it must not reference anything outside its own body.
+const installPageHelpers = () => {
+  if (window.__a11yScan) return;
+  
+  // Shortest selector that uniquely matches el: an id, or a tag:nth-of-type path up to one
+  const selector = (el) => {
+    if (!(el instanceof Element)) return null;
+    if (el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1) {
+      return `#${CSS.escape(el.id)}`;
+    }
+    
+    const parts = [];
+    let current = el;
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.documentElement) {
+      let part = current.tagName.toLowerCase();
+      if (current.id && document.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(current.id)}`);
+        break;
+      }
+      const parent = current.parentElement;
+      if (parent) {
+        const sameTag = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+        if (sameTag.length > 1) {
+          part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+        }
+      }
+      parts.unshift(part);
+      if (document.querySelectorAll(parts.join(' > ')).length === 1) break;
+      current = parent;
+    }
+    return parts.join(' > ');
+  };
+  
+  const isVisible = (el) => {
+    const rect = el.getBoundingClientRect();
+    const style = getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 && style.visibility !== 'hidden' && style.display !== 'none' && Number(style.opacity) > 0;
+  };
+  
+  const hasOwnText = (el) => Array.from(el.childNodes).some(node => 
+    node.nodeType === Node.TEXT_NODE && node.textContent.trim()
+  );
+  
+  // Something the user can click, tap or tab to
+  const isInteractive = (el) => 
+    ['A', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'SUMMARY'].includes(el.tagName) || 
+    el.tabIndex >= 0 || 
+    el.hasAttribute('onclick') ||
+    ['button', 'link', 'checkbox', 'radio', 'switch', 'tab', 'menuitem', 'option'].includes(el.getAttribute('role'));
+  
+  // Short accessible-ish label for reports: aria-label, alt, title or trimmed text
+  const label = (el) => (
+    el.getAttribute('aria-label') || el.getAttribute('alt') || el.getAttribute('title') ||
+    el.innerText || el.value || ''
+  ).trim().replace(/\s+/g, ' ').slice(0, 80);
+  
+  // Computed color string to { r, g, b, a }; null for colors that aren't rgb() / rgba()
+  const parseColor = (value) => {
+    const match = value?.match(/^rgba?\(([^)]+)\)$/);
+    if (!match) return null;
+    const [r, g, b, a = 1] = match[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+    return { r, g, b, a };
+  };
+  
+  // Paint top over bottom with source-over alpha compositing
+  const blend = (top, bottom) => {
+    const alpha = top.a + bottom.a * (1 - top.a);
+    if (alpha === 0) return { r: 0, g: 0, b: 0, a: 0 };
+    const channel = key => (top[key] * top.a + bottom[key] * bottom.a * (1 - top.a)) / alpha;
+    return { r: channel('r'), g: channel('g'), b: channel('b'), a: alpha };
+  };
+  
+  // The background color actually behind el: its own and its ancestors' background colors
+  // blended down to the first opaque one, or the white canvas. imageBehind is set when a
+  // background image or gradient is painted in between, so the color alone can't be trusted.
+  const effectiveBackground = (el) => {
+    const layers = [];
+    let imageBehind = false;
+    for (let current = el; current; current = current.parentElement) {
+      const style = getComputedStyle(current);
+      if (style.backgroundImage !== 'none') imageBehind = true;
+      const color = parseColor(style.backgroundColor);
+      if (color && color.a > 0) {
+        layers.push(color);
+        if (color.a >= 1) break;
+      }
+    }
+    const color = layers.reduceRight((bottom, top) => blend(top, bottom), { r: 255, g: 255, b: 255, a: 1 });
+    return { color, imageBehind };
+  };
+  
+  const luminance = ({ r, g, b }) => {
+    const [lr, lg, lb] = [r, g, b].map(v => {
+      v /= 255;
+      return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    });
+    return lr * 0.2126 + lg * 0.7152 + lb * 0.0722;
+  };
+  
+  const contrastRatio = (a, b) => {
+    const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+  };
+  
+  const toHex = ({ r, g, b }) => '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+  
+  // WCAG large text: at least 24px, or at least 18.66px (14pt) and bold
+  const isLargeText = (style) => {
+    const size = parseFloat(style.fontSize);
+    return size >= 24 || (size >= 18.66 && parseInt(style.fontWeight, 10) >= 700);
+  };
+  
+  window.__a11yScan = { selector, isVisible, hasOwnText, isInteractive, label, parseColor, blend, effectiveBackground, contrastRatio, toHex, isLargeText };
+};
+
+// Press Tab through the page and record where focus goes. Flags focus traps, clickable
+// elements that never receive focus, missing or invisible focus indicators and focused
+// elements covered by fixed or sticky content.
+const runKeyboardAudit = async (page) => {
+  try {
+    await page.evaluate(installPageHelpers);
+    
+    // Remember every focusable element's unfocused style so it can be compared once focused
+    await page.evaluate(() => {
+      const FOCUS_STYLE_PROPS = [
+        'outlineStyle', 'outlineWidth', 'outlineColor', 'outlineOffset', 'boxShadow',
+        'borderTopColor', 'borderRightColor', 'borderBottomColor', 'borderLeftColor',
+        'borderTopWidth', 'backgroundColor', 'color', 'textDecorationLine'
+      ];
+      const snapshot = (el) => {
+        const style = getComputedStyle(el);
+        return Object.fromEntries(FOCUS_STYLE_PROPS.map(prop => [prop, style[prop]]));
+      };
+      
+      document.activeElement?.blur?.();
+      window.scrollTo(0, 0);
+      
+      const focusable = 'a[href], area[href], button, input, select, textarea, iframe, summary, ' +
+        '[tabindex], [contenteditable=""], [contenteditable="true"], audio[controls], video[controls]';
+      const before = new WeakMap();
+      document.querySelectorAll(focusable).forEach(el => before.set(el, snapshot(el)));
+      
+      window.__a11yScan.keyboard = { snapshot, before, focused: new Set() };
+    });
+    
+    const focusPath = [];
+    const issues = [];
+    const seen = new Map();
+    let completedCycle = false;
+    let trapped = false;
+    let stuckCount = 0;
+    
+    for (let i = 0; i < CONFIG.KEYBOARD_MAX_TAB_STOPS; i++) {
+      await page.keyboard.press('Tab');
+      
+      const stop = await page.evaluate(() => {
+        let el = document.activeElement;
+        while (el?.shadowRoot?.activeElement) {
+          el = el.shadowRoot.activeElement;
+        }
+        if (!el || el === document.body || el === document.documentElement) {
+          return null;
+        }
+        
+        const { selector, label, keyboard } = window.__a11yScan;
+        keyboard.focused.add(el);
+        keyboard.last = el;
+        
+        // Compare the focused style with the unfocused one captured before tabbing
+        const focusedStyle = keyboard.snapshot(el);
+        const unfocusedStyle = keyboard.before.get(el);
+        const changed = unfocusedStyle
+          ? Object.keys(focusedStyle).filter(prop => focusedStyle[prop] !== unfocusedStyle[prop])
+          : null;
+        const isTransparent = (color) => /rgba\(.*,\s*0\)$/.test(color) || color === 'transparent';
+        const visibleChanges = (changed || []).filter(prop => {
+          if (prop.startsWith('outline')) {
+            return focusedStyle.outlineStyle !== 'none' && parseFloat(focusedStyle.outlineWidth) > 0 && !isTransparent(focusedStyle.outlineColor);
+          }
+          if (prop === 'boxShadow') return focusedStyle.boxShadow !== 'none';
+          return true;
+        });
+        
+        let focusIndicator = 'visible';
+        if (changed === null) {
+          focusIndicator = 'unknown';
+        } else if (changed.length === 0) {
+          focusIndicator = 'missing';
+        } else if (visibleChanges.length === 0) {
+          focusIndicator = 'invisible';
+        }
+        
+        // Focus scrolls the element into view; check what is actually painted on top of it
+        const rect = el.getBoundingClientRect();
+        const offscreen = rect.bottom <= 0 || rect.right <= 0 || rect.top >= innerHeight || rect.left >= innerWidth;
+        let obscuredBy = null;
+        if (!offscreen && rect.width > 0 && rect.height > 0) {
+          const x = Math.min(Math.max(rect.left + rect.width / 2, 0), innerWidth - 1);
+          const y = Math.min(Math.max(rect.top + rect.height / 2, 0), innerHeight - 1);
+          const hit = document.elementFromPoint(x, y);
+          if (hit && hit !== el && !el.contains(hit) && !hit.contains(el)) {
+            for (let node = hit; node && node !== document.body; node = node.parentElement) {
+              const position = getComputedStyle(node).position;
+              if (position === 'fixed' || position === 'sticky') {
+                obscuredBy = selector(node);
+                break;
+              }
+            }
+          }
+        }
+        
+        return {
+          selector: selector(el),
+          tag: el.tagName.toLowerCase(),
+          role: el.getAttribute('role') || null,
+          name: label(el),
+          rect: { x: Math.round(rect.x), y: Math.round(rect.y), width: Math.round(rect.width), height: Math.round(rect.height) },
+          focusIndicator,
+          indicatorChanges: changed || [],
+          offscreen,
+          obscuredBy
+        };
+      });
+      
+      // Focus left the document (or went back to <body>): the whole page was tabbed through
+      if (!stop) {
+        completedCycle = focusPath.length > 0;
+        break;
+      }
+      
+      const previous = focusPath[focusPath.length - 1];
+      if (previous && previous.selector === stop.selector) {
+        // Tabbing inside an iframe keeps the iframe focused in this document
+        if (stop.tag === 'iframe') continue;
+        stuckCount++;
+        if (stuckCount >= 3) {
+          trapped = true;
+          issues.push({
+            type: 'focus-trap',
+            severity: 'critical',
+            selector: stop.selector,
+            message: `Focus is stuck on ${stop.selector}: pressing Tab does not move focus`
+          });
+          break;
+        }
+        continue;
+      }
+      stuckCount = 0;
+      
+      if (seen.has(stop.selector)) {
+        const firstIndex = seen.get(stop.selector);
+        if (firstIndex === 0) {
+          completedCycle = true;
+        } else {
+          // Focus loops through part of the page without ever reaching the rest
+          trapped = true;
+          const loop = focusPath.slice(firstIndex).map(entry => entry.selector);
+          issues.push({
+            type: 'focus-trap',
+            severity: 'critical',
+            selector: stop.selector,
+            loop,
+            message: `Focus trap: Tab cycles through ${loop.length} elements starting at ${stop.selector} and never leaves them`
+          });
+        }
+        break;
+      }
+      
+      seen.set(stop.selector, focusPath.length);
+      focusPath.push({ index: focusPath.length + 1, ...stop });
+      
+      if (stop.focusIndicator === 'missing' || stop.focusIndicator === 'invisible') {
+        issues.push({
+          type: `${stop.focusIndicator}-focus-indicator`,
+          severity: 'serious',
+          selector: stop.selector,
+          message: stop.focusIndicator === 'missing'
+            ? `No visible change when ${stop.selector} receives focus`
+            : `Focus style on ${stop.selector} changes only transparent or zero-width properties (${stop.indicatorChanges.join(', ')})`
+        });
+      }
+      if (stop.obscuredBy) {
+        issues.push({
+          type: 'obscured-focus',
+          severity: 'serious',
+          selector: stop.selector,
+          obscuredBy: stop.obscuredBy,
+          message: `Focused element ${stop.selector} is hidden under fixed or sticky content ${stop.obscuredBy}`
+        });
+      }
+      if (stop.offscreen) {
+        issues.push({
+          type: 'offscreen-focus',
+          severity: 'moderate',
+          selector: stop.selector,
+          message: `Focused element ${stop.selector} is outside the viewport, so keyboard users cannot see where focus is`
+        });
+      }
+    }
+    
+    const limitReached = !completedCycle && !trapped && focusPath.length >= CONFIG.KEYBOARD_MAX_TAB_STOPS;
+    
+    // Elements that look clickable but were never focused (and contain no focused element).
+    // When tabbing stopped at the limit, only elements before the last tab stop in document
+    // order are checked; the rest of the page simply wasn't reached yet.
+    const unreachable = await page.evaluate((limitReached) => {
+      const { selector, isVisible, label, keyboard } = window.__a11yScan;
+      const focused = Array.from(keyboard.focused);
+      const interactive = 'a[href], button, input, select, textarea, summary, [onclick], [role="button"], [role="link"], ' +
+        '[role="checkbox"], [role="tab"], [role="menuitem"], [role="switch"], [role="option"]';
+      const candidates = Array.from(document.querySelectorAll(`${interactive}, a, div, span, li, img, svg`)).filter(el => {
+        if (!isVisible(el) || el.disabled || el.closest('[inert], [aria-hidden="true"]')) return false;
+        if (el.matches('input[type="hidden"]')) return false;
+        // Pointer cursors are inherited, so only count the outermost element that sets one
+        return el.matches(interactive) ||
+          typeof el.onclick === 'function' ||
+          (getComputedStyle(el).cursor === 'pointer' && getComputedStyle(el.parentElement || el).cursor !== 'pointer');
+      });
+      
+      const reached = (el) => !limitReached ||
+        (keyboard.last && Boolean(keyboard.last.compareDocumentPosition(el) & Node.DOCUMENT_POSITION_PRECEDING));
+      
+      return candidates
+        .filter(el => reached(el) && !focused.some(f => f === el || el.contains(f) || f.contains(el)))
+        .slice(0, 50)
+        .map(el => ({ selector: selector(el), tag: el.tagName.toLowerCase(), name: label(el) }));
+    }, limitReached);
+    
+    unreachable.forEach(el => {
+      issues.push({
+        type: 'unreachable',
+        severity: 'serious',
+        selector: el.selector,
+        message: `${el.selector}${el.name ? ` ("${el.name}")` : ''} looks clickable but cannot be reached with the Tab key`
+      });
+    });
+    
+    // Leave the page the way later audits expect it
+    await page.evaluate(() => {
+      document.activeElement?.blur?.();
+      window.scrollTo(0, 0);
+    });
+    
+    const summary = {
+      tabStops: focusPath.length,
+      completedCycle,
+      trapped,
+      limitReached,
+      missingFocusIndicators: issues.filter(issue => issue.type === 'missing-focus-indicator').length,
+      invisibleFocusIndicators: issues.filter(issue => issue.type === 'invisible-focus-indicator').length,
+      obscuredFocus: issues.filter(issue => issue.type === 'obscured-focus').length,
+      unreachable: unreachable.length
+    };
+    
+    console.log(`✅ Keyboard audit completed: ${focusPath.length} tab stops, ${issues.length} issues found`);
+    return { summary, focusPath, issues };
+    
+  } catch (error) {
+    console.error('❌ Keyboard audit failed:', error.message);
+    return {
+      error: 'Failed to run keyboard audit: ' + error.message,
+      focusPath: [],
+      issues: []
+    };
+  }
+};
+
+const LANDMARK_ROLES = ['banner', 'navigation', 'main', 'contentinfo', 'complementary', 'search', 'form', 'region'];
+// Roles whose accessible name is their text content, so the text is not read twice
+const NAME_FROM_CONTENT_ROLES = new Set([
+  'link', 'button', 'heading', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'tab', 'option',
+  'checkbox', 'radio', 'switch', 'treeitem', 'cell', 'columnheader', 'rowheader', 'tooltip', 'LabelText'
+]);
+// Chromium-internal or purely structural nodes a screen reader does not announce
+const SILENT_AX_ROLES = new Set(['none', 'presentation', 'generic', 'InlineTextBox', 'ListMarker', 'LineBreak']);
+// Boolean states that only matter when true; the others are announced either way
+const AX_TRUE_ONLY_STATES = ['disabled', 'required', 'readonly', 'busy', 'modal', 'multiselectable'];
+const AX_STATES = ['checked', 'pressed', 'expanded', 'selected', 'invalid', 'hasPopup', ...AX_TRUE_ONLY_STATES];
+
+// Capture Chromium's accessibility tree and flatten it into screen-reader reading order.
+// Each entry keeps its depth so the nesting can still be shown.
+const captureAccessibilityTree = async (page) => {
+  let client = null;
+  
+  try {
+    client = await page.context().newCDPSession(page);
+    const { nodes } = await client.send('Accessibility.getFullAXTree');
+    const byId = new Map(nodes.map(node => [node.nodeId, node]));
+    const readingOrder = [];
+    let truncated = false;
+    
+    const walk = (node, depth, nameFromContent) => {
+      if (!node) return;
+      if (readingOrder.length >= CONFIG.AX_TREE_MAX_NODES) {
+        truncated = true;
+        return;
+      }
+      
+      const role = node.role?.value;
+      const name = (node.name?.value || '').trim();
+      const children = (node.childIds || []).map(id => byId.get(id));
+      
+      if (node.ignored || (SILENT_AX_ROLES.has(role) && !(role === 'generic' && name))) {
+        children.forEach(child => walk(child, depth, nameFromContent));
+        return;
+      }
+      
+      if (role === 'StaticText') {
+        if (!nameFromContent && name) {
+          readingOrder.push({ role: 'text', name, depth });
+        }
+        return;
+      }
+      
+      const properties = Object.fromEntries((node.properties || []).map(prop => [prop.name, prop.value?.value]));
+      const states = {};
+      AX_STATES.forEach(state => {
+        const value = properties[state];
+        if (value === undefined || (state === 'invalid' && value === 'false')) return;
+        if (AX_TRUE_ONLY_STATES.includes(state) && !value) return;
+        states[state] = value;
+      });
+      
+      readingOrder.push({
+        role: role === 'RootWebArea' ? 'document' : role,
+        name,
+        depth,
+        ...(properties.level !== undefined ? { level: properties.level } : {}),
+        ...(node.value?.value !== undefined && node.value.value !== '' ? { value: String(node.value.value) } : {}),
+        ...(node.description?.value ? { description: node.description.value } : {}),
+        ...(Object.keys(states).length > 0 ? { states } : {})
+      });
+      
+      children.forEach(child => walk(child, depth + 1, nameFromContent || (NAME_FROM_CONTENT_ROLES.has(role) && Boolean(name))));
+    };
+    
+    walk(nodes[0], 0, false);
+    
+    const landmarks = readingOrder
+      .map((entry, index) => ({ ...entry, index }))
+      .filter(entry => LANDMARK_ROLES.includes(entry.role) && (!['form', 'region'].includes(entry.role) || entry.name));
+    const headings = readingOrder
+      .map((entry, index) => ({ ...entry, index }))
+      .filter(entry => entry.role === 'heading');
+    
+    console.log(`✅ Accessibility tree captured: ${readingOrder.length} nodes, ${landmarks.length} landmarks, ${headings.length} headings`);
+    return {
+      readingOrder,
+      landmarks: landmarks.map(({ role, name, index }) => ({ role, name, index })),
+      headings: headings.map(({ name, level, index }) => ({ name, level, index })),
+      truncated
+    };
+    
+  } catch (error) {
+    console.error('❌ Accessibility tree capture failed:', error.message);
+    return {
+      error: 'Failed to capture accessibility tree: ' + error.message,
+      readingOrder: [],
+      landmarks: [],
+      headings: []
+    };
+  } finally {
+    if (client) {
+      await client.detach().catch(() => {});
+    }
+  }
+};
+
+// Map scan failures to an HTTP status and a user-facing message
+const getScanErrorResponse = (error) => {
+  let statusCode = 500;
+  let errorMessage = 'Internal server error during scan';
+  
+  if (error.message.startsWith('Login failed') || error.message.startsWith('Invalid')) {
+    statusCode = 400;
+    errorMessage = error.message;
+  } else if (error.message.startsWith('Scan timed out')) {
+    statusCode = 504;
+    errorMessage = error.message;
+  } else if (error.message.includes('timeout') || error.message.includes('took too long')) {
+    statusCode = 408;
+    errorMessage = 'Website took too long to respond. Please try again.';
+  } else if (error.message.includes('not found') || error.message.includes('ERR_NAME_NOT_RESOLVED')) {
+    statusCode = 404;
+    errorMessage = 'Website not found. Please check the URL.';
+  } else if (error.message.includes('refused') || error.message.includes('ERR_CONNECTION_REFUSED')) {
+    statusCode = 503;
+    errorMessage = 'Website is not accessible. It may be down or blocking automated requests.';
+  } else if (error.message.includes('Maximum concurrent browsers')) {
+    statusCode = 503;
+    errorMessage = 'Server is busy. Please try again in a few moments.';
+  } else if (error.message.includes('Invalid')) {
+    statusCode = 400;
+    errorMessage = error.message;
+  }
+  
+  return { statusCode, errorMessage };
+};
+
+// Colors from a design-tokens file: W3C format ($value), Style Dictionary (value) or a flat
+// { name: '#hex' } object. Aliases such as "{color.brand.primary}" are resolved; tokens whose
+// value is not a hex color are returned as skipped.
+const extractTokenColors = (tokens) => {
+  const values = new Map();
+  const walk = (node, path) => {
+    if (typeof node === 'string') {
+      values.set(path.join('.'), node);
+      return;
+    }
+    if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+    
+    const value = node.$value ?? node.value;
+    if (typeof value === 'string' && path.length > 0) {
+      const type = node.$type ?? node.type;
+      if (!type || type === 'color') {
+        values.set(path.join('.'), value);
+      }
+      return;
+    }
+    Object.entries(node).forEach(([key, child]) => {
+      if (!key.startsWith('$')) walk(child, [...path, key]);
+    });
+  };
+  walk(tokens, []);
+  
+  const resolve = (value, depth = 0) => {
+    const alias = value.trim().match(/^\{(.+)\}$/);
+    if (!alias || depth > 10 || !values.has(alias[1])) return value.trim();
+    return resolve(values.get(alias[1]), depth + 1);
+  };
+  
+  const colors = [];
+  const skipped = [];
+  values.forEach((value, name) => {
+    const resolved = resolve(value);
+    if (HEX_COLOR_PATTERN.test(resolved)) {
+      colors.push({ name, hex: normalizeHex(resolved) });
+    } else {
+      skipped.push(name);
+    }
+  });
+  return { colors, skipped };
+};
+
+// Minimum ratios: WCAG 1.4.3 (AA), 1.4.6 (AAA) and 1.4.11 non-text contrast
+const CONTRAST_THRESHOLDS = { aaNormal: 4.5, aaLarge: 3, aaaNormal: 7, aaaLarge: 4.5, nonText: 3 };
+
+// Contrast of every foreground (row) against every background (column)
+const buildContrastMatrix = (colors) => ({
+  thresholds: CONTRAST_THRESHOLDS,
+  colors,
+  matrix: colors.map(foreground => colors.map(background => {
+    const ratio = getContrastRatio(foreground.hex, background.hex);
+    return {
+      contrast: roundRatio(ratio),
+      ...Object.fromEntries(Object.entries(CONTRAST_THRESHOLDS).map(([level, min]) => [level, ratio >= min]))
+    };
+  }))
+});
+
+app.post('/api/palette/contrast', (req, res) => {
+  try {
+    const { colors, tokens } = req.body;
+    
+    if ((colors === undefined) === (tokens === undefined)) {
+      return res.status(400).json({ error: 'Provide either colors (a list of hex colors) or tokens (a design-tokens JSON object)' });
+    }
+    
+    let palette;
+    let skipped = [];
+    if (colors !== undefined) {
+      const validation = validateBrandColors(colors);
+      if (!validation.valid) {
+        return res.status(400).json({ error: validation.error });
+      }
+      palette = [...new Set(colors.map(normalizeHex))].map(hex => ({ name: hex, hex }));
+    } else {
+      if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) {
+        return res.status(400).json({ error: 'Tokens must be a design-tokens JSON object' });
+      }
+      ({ colors: palette, skipped } = extractTokenColors(tokens));
+    }
+    
+    if (palette.length < 2) {
+      return res.status(400).json({ error: 'At least two hex colors are needed to compare', skipped });
+    }
+    if (palette.length > CONFIG.MAX_PALETTE_COLORS) {
+      return res.status(400).json({ error: `Too many colors. Maximum ${CONFIG.MAX_PALETTE_COLORS} allowed.` });
+    }
+    
+    console.log(`🎨 Building contrast matrix for ${palette.length} colors`);
+    
+    res.json({
+      ...buildContrastMatrix(palette),
+      skipped,
+      timestamp: Date.now()
+    });
+    
+  } catch (error) {
+    console.error('❌ Error building contrast matrix:', error);
+    res.status(500).json({ error: 'Failed to build contrast matrix' });
+  }
+});
+
+// Enhanced report endpoints
+app.post('/api/report', (req, res) => {
+  try {
+    const report = req.body;
+    
+    if (!report || typeof report !== 'object') {
+      return res.status(400).json({ error: 'Invalid report data - must be an object' });
+    }
+    
+    // Validate report structure
+    const requiredFields = ['url'];
+    const missingFields = requiredFields.filter(field => !report[field]);
+    
+    if (missingFields.length > 0) {
+      return res.status(400).json({ 
+        error: `Missing required fields: ${missingFields.join(', ')}` 
+      });
+    }
+    
+    // Validate URL in report
+    const urlValidation = validateUrl(report.url);
+    if (!urlValidation.valid) {
+      return res.status(400).json({ error: urlValidation.error });
+    }
+    
+    const id = crypto.randomBytes(8).toString('base64url');
+    const reportWithMetadata = {
+      ...report,
+      // Anyone with the report link could reuse a saved login session
+      ...(report.authentication && typeof report.authentication === 'object' && {
+        authentication: { ...report.authentication, savedStorageStateId: undefined }
+      }),
+      id,
+      timestamp: Date.now(),
+      userAgent: req.headers['user-agent'] || 'Unknown',
+      ip: req.ip || 'Unknown'
+    };
+    
+    reports.set(id, reportWithMetadata);
+    
+    console.log(`📄 Report saved with ID: ${id} for URL: ${report.url}`);
+    res.json({ id, timestamp: reportWithMetadata.timestamp });
+    
+  } catch (error) {
+    console.error('❌ Error saving report:', error);
+    res.status(500).json({ error: 'Failed to save report' });
+  }
+});
+
+app.get('/api/report/:id', (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!id || typeof id !== 'string') {
+      return res.status(400).json({ error: 'Invalid report ID' });
+    }
+    
+    const report = reports.get(id);
+    
+    if (!report) {
+      return res.status(404).json({ 
+        error: 'Report not found or expired',
+        message: 'Reports are automatically deleted after 24 hours'
+      });
+    }
+    
+    // Remove metadata before sending
+    const { timestamp, userAgent, ip, ...cleanReport } = report;
+    
+    console.log(`📄 Report retrieved: ${id}`);
     res.json(cleanReport);
     
   } catch (error) {
-    console.error('❌ Error retrieving report:', error);
-    res.status(500).json({ error: 'Failed to retrieve report' });
+    console.error('❌ Error retrieving report:', error);
+    res.status(500).json({ error: 'Failed to retrieve report' });
+  }
+});
+
+// Upload a Playwright storage state (e.g. from `playwright codegen --save-storage`) for reuse in scans
+app.post('/api/storage-state', (req, res) => {
+  try {
+    const { storageState } = req.body;
+    
+    const validation = validateStorageState(storageState);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    
+    if (storageStates.size >= CONFIG.MAX_STORAGE_STATES) {
+      return res.status(503).set('Retry-After', '3600').json({ 
+        error: `Too many stored sessions (${CONFIG.MAX_STORAGE_STATES}); delete unused ones or wait for them to expire`
+      });
+    }
+    
+    const id = crypto.randomBytes(8).toString('base64url');
+    const timestamp = Date.now();
+    storageStates.set(id, {
+      state: { cookies: storageState.cookies, origins: storageState.origins || [] },
+      timestamp
+    });
+    
+    console.log(`🔐 Storage state uploaded with ID: ${id}`);
+    res.json({ id, timestamp, expiresAt: timestamp + CONFIG.MAX_STORAGE_STATE_AGE });
+    
+  } catch (error) {
+    console.error('❌ Error saving storage state:', error);
+    res.status(500).json({ error: 'Failed to save storage state' });
+  }
+});
+
+// Stored sessions are never returned, only deleted
+app.delete('/api/storage-state/:id', (req, res) => {
+  if (!storageStates.delete(req.params.id)) {
+    return res.status(404).json({ error: 'Storage state not found or expired' });
+  }
+  
+  console.log(`🔐 Storage state deleted: ${req.params.id}`);
+  res.json({ id: req.params.id, deleted: true });
+});
+
+// Serve a screenshot captured during a scan; results reference them by URL
+app.get('/api/screenshots/:id', (req, res) => {
+  const screenshot = screenshots.get(req.params.id);
+  
+  if (!screenshot) {
+    return res.status(404).json({ 
+      error: 'Screenshot not found or expired',
+      message: 'Screenshots are automatically deleted after 24 hours'
+    });
+  }
+  
+  res.set('Cache-Control', 'private, max-age=86400');
+  res.type(screenshot.contentType).send(screenshot.buffer);
+});
+
+const validateScanRequest = ({ url, content, audits = ['accessibility'], brandColors = [], dynamicActions, auth, axeConfig, viewports, mediaVariants, targetSizeLevel }) => {
+  if (url !== undefined && content !== undefined) {
+    return { valid: false, error: 'Provide either a URL or uploaded content, not both' };
+  }
+  
+  const sourceValidation = content !== undefined ? validateContent(content) : validateUrl(url);
+  if (!sourceValidation.valid) {
+    return sourceValidation;
+  }
+  
+  const auditsValidation = validateAudits(audits);
+  if (!auditsValidation.valid) {
+    return auditsValidation;
+  }
+  
+  // An explicit null skips the [] default, so check the type before anything reads .length
+  const colorsValidation = validateBrandColors(brandColors);
+  if (!colorsValidation.valid) {
+    return colorsValidation;
+  }
+  
+  const dynamicActionsValidation = validateDynamicActions(dynamicActions);
+  if (!dynamicActionsValidation.valid) {
+    return dynamicActionsValidation;
+  }
+  
+  const axeConfigValidation = validateAxeConfig(axeConfig);
+  if (!axeConfigValidation.valid) {
+    return axeConfigValidation;
+  }
+  
+  const viewportsValidation = validateViewports(viewports);
+  if (!viewportsValidation.valid) {
+    return viewportsValidation;
+  }
+  
+  const mediaVariantsValidation = validateMediaVariants(mediaVariants);
+  if (!mediaVariantsValidation.valid) {
+    return mediaVariantsValidation;
+  }
+  
+  const targetSizeLevelValidation = validateTargetSizeLevel(targetSizeLevel);
+  if (!targetSizeLevelValidation.valid) {
+    return targetSizeLevelValidation;
+  }
+  
+  return validateAuth(auth);
+};
+
+// Tracks scan stages for the report and forwards every change to onProgress.
+// Stage status moves from pending to running and ends as done or failed.
+const createScanProgress = (plan, onProgress) => {
+  const stages = plan.map(step => ({ ...step, status: 'pending', message: null }));
+  onProgress({ type: 'plan', stages: stages.map(stage => ({ ...stage })) });
+  
+  const update = (stageId, status, message = null) => {
+    const stage = stages.find(entry => entry.stage === stageId);
+    if (!stage) return;
+    
+    const timestamp = Date.now();
+    if (!stage.startedAt) {
+      stage.startedAt = timestamp;
+    }
+    stage.status = status;
+    stage.message = message;
+    if (status === 'done' || status === 'failed') {
+      stage.duration = timestamp - stage.startedAt;
+    }
+    
+    onProgress({ type: 'stage', stage: stageId, status, message, timestamp });
+  };
+  
+  return {
+    stages,
+    start: (stageId, message) => update(stageId, 'running', message),
+    log: (stageId, message) => update(stageId, 'running', message),
+    done: (stageId, message) => update(stageId, 'done', message),
+    fail: (stageId, message) => update(stageId, 'failed', message)
+  };
+};
+
+// Load and audit the page in one more viewport, reusing the primary context's session
+const scanViewport = async (browser, url, viewport, { auth, storageState, audits, brandColors, axeConfiguration }) => {
+  const result = { viewport: describeViewport(viewport) };
+  let context = null;
+  
+  try {
+    context = await createScanContext(
+      browser,
+      url,
+      { httpCredentials: auth?.httpCredentials, headers: auth?.headers },
+      { ...viewport.contextOptions, storageState }
+    );
+    const page = await context.newPage();
+    page.setDefaultTimeout(CONFIG.NAVIGATION_TIMEOUT);
+    page.setDefaultNavigationTimeout(CONFIG.PAGE_LOAD_TIMEOUT);
+    
+    await navigateWithFallback(page, url);
+    result.websiteStatus = await getWebsiteStatus(page);
+    
+    if (audits.includes('accessibility')) {
+      result.accessibility = await runAccessibilityAudit(page, result.websiteStatus, axeConfiguration);
+    }
+    if (brandColors.length > 0) {
+      result.brandColorContrast = await runBrandColorAudit(page, brandColors);
+    }
+  } catch (error) {
+    console.warn(`⚠️ ${viewport.name} viewport scan failed:`, error.message);
+    result.error = error.message;
+  } finally {
+    if (context) {
+      await context.close().catch(() => {});
+    }
+  }
+  
+  return result;
+};
+
+// Violation nodes present in one axe result but not the other, grouped by rule.
+// Nodes are paired one to one by rule id and HTML first, then by rule id and target
+// selector for nodes whose HTML changed. Selectors alone are not enough: nth-of-type
+// selectors shift to a different element when content is inserted above it.
+const diffViolations = (before = [], after = []) => {
+  const flatten = (violations) => violations.flatMap(violation => violation.nodes.map(node => ({
+    violation,
+    html: node.html,
+    target: node.target.join(' '),
+    matched: false
+  })));
+  const beforeNodes = flatten(before);
+  const afterNodes = flatten(after);
+  
+  const pair = (keyOf) => {
+    const open = new Map();
+    beforeNodes.filter(node => !node.matched && keyOf(node)).forEach(node => {
+      const key = keyOf(node);
+      open.set(key, [...(open.get(key) || []), node]);
+    });
+    afterNodes.filter(node => !node.matched && keyOf(node)).forEach(node => {
+      const match = open.get(keyOf(node))?.shift();
+      if (match) {
+        match.matched = true;
+        node.matched = true;
+      }
+    });
+  };
+  pair(node => node.html && `${node.violation.id}|${node.html}`);
+  pair(node => `${node.violation.id}|${node.target}`);
+  
+  const collect = (violations, nodes) => violations
+    .map(violation => ({
+      id: violation.id,
+      help: violation.help,
+      impact: violation.impact,
+      helpUrl: violation.helpUrl,
+      targets: nodes
+        .filter(node => node.violation === violation && !node.matched)
+        .map(node => node.target)
+    }))
+    .filter(violation => violation.targets.length > 0);
+  
+  return {
+    introduced: collect(after, afterNodes),
+    resolved: collect(before, beforeNodes)
+  };
+};
+
+// Which violated rules show up in which viewports; a rule missing from some is viewport-specific
+const compareViewports = (viewportResults) => {
+  const scanned = viewportResults.filter(result => result.accessibility && !result.accessibility.error);
+  const viewportNames = scanned.map(result => result.viewport.name);
+  const rules = new Map();
+  
+  scanned.forEach(({ viewport, accessibility }) => {
+    accessibility.violations.forEach(violation => {
+      const rule = rules.get(violation.id) || {
+        id: violation.id,
+        help: violation.help,
+        impact: violation.impact,
+        helpUrl: violation.helpUrl,
+        nodes: {}
+      };
+      rule.nodes[viewport.name] = violation.nodes.length;
+      rules.set(violation.id, rule);
+    });
+  });
+  
+  return {
+    viewports: viewportNames,
+    rules: Array.from(rules.values())
+      .map(rule => {
+        const foundIn = viewportNames.filter(name => name in rule.nodes);
+        return { ...rule, viewports: foundIn, specific: foundIn.length < viewportNames.length };
+      })
+      .sort((a, b) => a.viewports.length - b.viewports.length || a.id.localeCompare(b.id))
+  };
+};
+
+// How long a scan's browser may live before it is closed and the scan fails. Every extra
+// viewport reloads the page and re-runs axe in the same browser, so each one adds time.
+const getScanLifetime = ({ viewports = ['desktop'] } = {}) =>
+  CONFIG.SCAN_JOB_TIMEOUT + (viewports.length - 1) * CONFIG.VIEWPORT_SCAN_TIMEOUT;
+
+// Run every requested audit against one URL and return the combined results.
+// onProgress receives a plan event listing the stages, then one event per stage change.
+const runScan = async ({ url, audits = ['accessibility'], brandColors = [], dynamicActions = [], auth, axeConfig, viewports = ['desktop'], mediaVariants = [], targetSizeLevel = 'aa' }, onProgress = () => {}) => {
+  const startTime = Date.now();
+  let browser = null;
+  let context = null;
+  const axeConfiguration = buildAxeConfiguration(axeConfig);
+  // The first viewport gets the full scan; the rest re-run axe and brand colors only
+  const [primaryViewport, ...extraViewports] = viewports.map(resolveViewport);
+  const lifetime = getScanLifetime({ viewports });
+  const timeoutError = () => new Error(`Scan timed out after ${Math.round(lifetime / 6000) / 10} minutes; try fewer audits or viewports`);
+  
+  const runsDynamicContent = audits.includes('dynamic-content') && Array.isArray(dynamicActions) && dynamicActions.length > 0;
+  const runsBrandColors = audits.includes('brand-color-contrast') && Array.isArray(brandColors) && brandColors.length > 0;
+  const runsLighthouse = lighthouse && LIGHTHOUSE_AUDITS.some(audit => audits.includes(audit));
+  
+  const progress = createScanProgress([
+    { stage: 'browser', label: 'Starting browser' },
+    ...(auth?.loginSteps?.length ? [{ stage: 'login', label: 'Running login steps' }] : []),
+    { stage: 'navigation', label: 'Loading page' },
+    { stage: 'website-status', label: 'Checking website status' },
+    ...(audits.includes('accessibility') ? [{ stage: 'accessibility', label: 'Running axe accessibility audit' }] : []),
+    ...(audits.includes('accessibility-tree') ? [{ stage: 'accessibility-tree', label: 'Capturing accessibility tree' }] : []),
+    ...mediaVariants.map(variant => ({
+      stage: `media-${variant}`,
+      label: `Re-running audits with ${MEDIA_VARIANTS[variant].label}`
+    })),
+    ...(audits.includes('keyboard') ? [{ stage: 'keyboard', label: 'Tabbing through the page' }] : []),
+    ...(runsBrandColors ? [{ stage: 'brand-color-contrast', label: 'Checking brand color contrast' }] : []),
+    ...(audits.includes('color-vision') ? [{ stage: 'color-vision', label: 'Simulating color vision deficiencies' }] : []),
+    ...(audits.includes('reflow') ? [{ stage: 'reflow', label: 'Checking reflow at 320px and 200% text size' }] : []),
+    ...(audits.includes('text-spacing') ? [{ stage: 'text-spacing', label: 'Applying WCAG text spacing' }] : []),
+    ...(audits.includes('target-size') ? [{ stage: 'target-size', label: 'Measuring target sizes' }] : []),
+    ...(audits.includes('non-text-contrast') ? [{ stage: 'non-text-contrast', label: 'Checking contrast of UI components and graphics' }] : []),
+    ...(audits.includes('image-text-contrast') ? [{ stage: 'image-text-contrast', label: 'Sampling backgrounds of text over images' }] : []),
+    ...(runsDynamicContent ? dynamicActions.map((action, i) => ({
+      stage: `action-${i + 1}`,
+      label: `Dynamic action ${i + 1}: ${describeAction(action)}`
+    })) : []),
+    ...extraViewports.map(viewport => ({
+      stage: `viewport-${viewport.name}`,
+      label: `Scanning ${viewport.name} viewport (${viewport.width}x${viewport.height})`
+    })),
+    ...(runsLighthouse ? [{ stage: 'lighthouse', label: 'Running Lighthouse' }] : [])
+  ], onProgress);
+  
+  try {
+    // Initialize results object early
+    const results = {
+      url,
+      timestamp: Date.now(),
+      auditsRequested: audits,
+      viewport: describeViewport(primaryViewport)
+    };
+    
+    // Create browser instance
+    progress.start('browser');
+    let page;
+    try {
+      browser = await browserPool.createBrowser(lifetime);
+      context = await createScanContext(browser, url, auth, primaryViewport.contextOptions);
+      page = await context.newPage();
+      progress.done('browser');
+    } catch (error) {
+      progress.fail('browser', error.message);
+      throw error;
+    }
+    
+    // Set page-specific timeouts
+    page.setDefaultTimeout(CONFIG.NAVIGATION_TIMEOUT);
+    page.setDefaultNavigationTimeout(CONFIG.PAGE_LOAD_TIMEOUT);
+    
+    if (auth?.loginSteps?.length) {
+      progress.start('login');
+      try {
+        await runLoginSteps(page, auth.loginSteps, message => progress.log('login', message));
+        progress.done('login');
+      } catch (error) {
+        progress.fail('login', error.message);
+        throw error;
+      }
+    }
+    
+    progress.start('navigation');
+    try {
+      await navigateWithFallback(page, url, message => progress.log('navigation', message));
+      progress.done('navigation');
+    } catch (error) {
+      progress.fail('navigation', error.message);
+      throw error;
+    }
+    
+    if (auth) {
+      results.authentication = describeAuth(auth);
+      if (auth.saveStorageState) {
+        results.authentication.savedStorageStateId = await saveStorageState(context);
+      }
+    }
+    
+    // Wait for page to be fully loaded and check if it's actually accessible
+    progress.start('website-status');
+    results.websiteStatus = await getWebsiteStatus(page);
+    if (results.websiteStatus.loaded) {
+      progress.done('website-status', results.websiteStatus.hasError ? results.websiteStatus.errorType : null);
+    } else {
+      progress.fail('website-status', results.websiteStatus.error);
+    }
+    
+    // Update results with additional scan information
+    results.audits = audits;
+    results.scanDuration = null; // Will be set at the end
+    
+    // Run accessibility audit
+    if (audits.includes('accessibility')) {
+      console.log(`🔍 Running accessibility audit for: ${url} (${axeConfiguration.label})`);
+      progress.start('accessibility');
+      results.accessibility = await runAccessibilityAudit(page, results.websiteStatus, axeConfiguration);
+      if (results.accessibility.error) {
+        progress.fail('accessibility', results.accessibility.error);
+      } else {
+        progress.log('accessibility', 'Capturing screenshots of failing elements');
+        const captured = await captureElementScreenshots(page, results.accessibility.violations);
+        console.log(`📸 Captured ${captured} element screenshots`);
+        progress.log('accessibility', 'Capturing full-page screenshot');
+        results.pageScreenshot = await captureAnnotatedPage(page, results.accessibility.violations);
+        progress.done('accessibility', `${results.accessibility.violations.length} violations found, ${results.accessibility.incomplete.length} need manual review`);
+      }
+    }
+    
+    // Capture what a screen reader would read
+    if (audits.includes('accessibility-tree')) {
+      progress.start('accessibility-tree');
+      results.accessibilityTree = await captureAccessibilityTree(page);
+      if (results.accessibilityTree.error) {
+        progress.fail('accessibility-tree', results.accessibilityTree.error);
+      } else {
+        progress.done('accessibility-tree', `${results.accessibilityTree.readingOrder.length} nodes`);
+      }
+    }
+    
+    // Re-run axe and brand colors under each emulated user preference
+    if (mediaVariants.length > 0) {
+      console.log(`🔍 Running ${mediaVariants.length} media variants: ${mediaVariants.join(', ')}`);
+      results.mediaVariants = [];
+      
+      for (const variant of mediaVariants) {
+        const stageId = `media-${variant}`;
+        const { label, media } = MEDIA_VARIANTS[variant];
+        const variantResult = { variant, label, media };
+        progress.start(stageId);
+        
+        try {
+          await page.emulateMedia(media);
+          // Give theme transitions and media-query listeners time to settle
+          await page.waitForTimeout(500);
+          
+          if (audits.includes('accessibility')) {
+            variantResult.accessibility = await runAccessibilityAudit(page, results.websiteStatus, axeConfiguration);
+            if (results.accessibility && !results.accessibility.error && !variantResult.accessibility.error) {
+              variantResult.comparedToDefault = diffViolations(results.accessibility.violations, variantResult.accessibility.violations);
+            }
+          }
+          if (runsBrandColors) {
+            variantResult.brandColorContrast = await runBrandColorAudit(page, brandColors);
+          }
+          
+          progress.done(stageId, variantResult.comparedToDefault
+            ? `${variantResult.comparedToDefault.introduced.length} rules with new violations`
+            : null);
+        } catch (error) {
+          console.warn(`⚠️ Media variant ${variant} failed:`, error.message);
+          variantResult.error = error.message;
+          progress.fail(stageId, error.message);
+        } finally {
+          // Back to the browser defaults for the next variant
+          await page.emulateMedia({ colorScheme: 'light', forcedColors: 'none', reducedMotion: 'no-preference', contrast: 'no-preference' }).catch(() => {});
+        }
+        
+        results.mediaVariants.push(variantResult);
+      }
+    }
+    
+    // Run keyboard navigation audit
+    if (audits.includes('keyboard')) {
+      console.log(`🔍 Running keyboard navigation audit`);
+      progress.start('keyboard');
+      results.keyboard = await runKeyboardAudit(page);
+      if (results.keyboard.error) {
+        progress.fail('keyboard', results.keyboard.error);
+      } else {
+        progress.done('keyboard', `${results.keyboard.summary.tabStops} tab stops, ${results.keyboard.issues.length} issues found`);
+      }
+    }
+    
+    // Run brand color contrast audit
+    if (runsBrandColors) {
+      console.log(`🔍 Running brand color contrast audit with ${brandColors.length} colors`);
+      progress.start('brand-color-contrast');
+      results.brandColorContrast = await runBrandColorAudit(page, brandColors);
+      const brandError = results.brandColorContrast.find(issue => issue.type === 'error');
+      if (brandError) {
+        progress.fail('brand-color-contrast', brandError.message);
+      } else {
+        progress.done('brand-color-contrast', `${results.brandColorContrast.length} issues found`);
+      }
+    }
+    
+    // Screenshots under simulated color vision deficiencies
+    if (audits.includes('color-vision')) {
+      console.log('🔍 Running color vision simulation');
+      progress.start('color-vision');
+      results.colorVision = await runColorVisionAudit(page, brandColors);
+      if (results.colorVision.error) {
+        progress.fail('color-vision', results.colorVision.error);
+      } else {
+        progress.done('color-vision', `${results.colorVision.confusablePairs.length} brand color pairs hard to tell apart`);
+      }
+    }
+    
+    // Re-render at 320 CSS px and 200% text size
+    if (audits.includes('reflow')) {
+      console.log('🔍 Running reflow and text resize audit');
+      progress.start('reflow');
+      results.reflow = await runReflowAudit(page);
+      if (results.reflow.error) {
+        progress.fail('reflow', results.reflow.error);
+      } else {
+        progress.done('reflow', results.reflow.conditions
+          .map(condition => `${condition.label}: ${condition.error ? 'failed' : `${condition.issueCount} issues`}`)
+          .join(', '));
+      }
+    }
+    
+    // Re-render with the WCAG 1.4.12 text spacing stylesheet
+    if (audits.includes('text-spacing')) {
+      console.log('🔍 Running text spacing audit');
+      progress.start('text-spacing');
+      results.textSpacing = await runTextSpacingAudit(page);
+      if (results.textSpacing.error) {
+        progress.fail('text-spacing', results.textSpacing.error);
+      } else {
+        progress.done('text-spacing', `${results.textSpacing.issueCount} issues found`);
+      }
+    }
+    
+    // Measure click and tap targets
+    if (audits.includes('target-size')) {
+      console.log(`🔍 Running target size audit (${targetSizeLevel.toUpperCase()})`);
+      progress.start('target-size');
+      results.targetSize = await runTargetSizeAudit(page, targetSizeLevel);
+      if (results.targetSize.error) {
+        progress.fail('target-size', results.targetSize.error);
+      } else {
+        progress.done('target-size', `${results.targetSize.issues.length} of ${results.targetSize.summary.targets} targets too small`);
+      }
+    }
+    
+    // Borders, focus outlines, SVG graphics and icons
+    if (audits.includes('non-text-contrast')) {
+      console.log('🔍 Running non-text contrast audit');
+      progress.start('non-text-contrast');
+      results.nonTextContrast = await runNonTextContrastAudit(page);
+      if (results.nonTextContrast.error) {
+        progress.fail('non-text-contrast', results.nonTextContrast.error);
+      } else {
+        progress.done('non-text-contrast', `${results.nonTextContrast.summary.issues} issues found`);
+      }
+    }
+    
+    // Text on background images, gradients and media, by pixel sampling
+    if (audits.includes('image-text-contrast')) {
+      console.log('🔍 Running image text contrast audit');
+      progress.start('image-text-contrast');
+      results.imageTextContrast = await runImageTextContrastAudit(page);
+      if (results.imageTextContrast.error) {
+        progress.fail('image-text-contrast', results.imageTextContrast.error);
+      } else {
+        const { checked, failing } = results.imageTextContrast.summary;
+        progress.done('image-text-contrast', `${failing} of ${checked} texts below the required contrast`);
+      }
+    }
+    
+    // Run dynamic content audit. Steps run in order as one flow; the first failing step
+    // stops the flow and the remaining steps are reported as skipped. The flow changes the
+    // page, so it runs after every other audit that reads this page.
+    if (runsDynamicContent) {
+      console.log(`🔍 Running dynamic content audit with ${dynamicActions.length} actions`);
+      results.dynamicContent = [];
+      let failedStep = null;
+      
+      // Each step is compared with the page right before the first action, so only what the
+      // interaction changed is reported. Earlier audits (media variants, keyboard) may have
+      // left the page in a different state than the main axe run saw.
+      let baseline = null;
+      try {
+        baseline = (await runAxe(page, axeConfiguration)).violations;
+      } catch (error) {
+        console.warn('⚠️ Baseline axe run for dynamic content failed:', error.message);
+      }
+      
+      for (let i = 0; i < dynamicActions.length; i++) {
+        const action = dynamicActions[i];
+        const step = i + 1;
+        const stageId = `action-${step}`;
+        
+        if (failedStep) {
+          const reason = `Skipped because step ${failedStep} failed`;
+          results.dynamicContent.push({ step, action, status: 'skipped', error: reason });
+          progress.fail(stageId, reason);
+          continue;
+        }
+        
+        progress.start(stageId);
+        const stepStart = Date.now();
+        
+        try {
+          console.log(`🔍 Executing action ${step}: ${describeAction(action)}`);
+          await runDynamicAction(page, action);
+          
+          // Wait for potential DOM updates
+          await page.waitForTimeout(action.waitAfter ?? CONFIG.ACTION_SETTLE_DELAY);
+          
+          // Run axe-core after action
+          const issues = action.audit === false ? null : await runAxe(page, axeConfiguration);
+          const comparedToBaseline = issues && baseline ? diffViolations(baseline, issues.violations) : null;
+          
+          results.dynamicContent.push({ step, action, status: 'passed', duration: Date.now() - stepStart, issues, comparedToBaseline });
+          progress.done(stageId, comparedToBaseline
+            ? `${comparedToBaseline.introduced.length} rules with new violations, ${comparedToBaseline.resolved.length} with fixed ones`
+            : issues ? `${issues.violations.length} violations after action` : 'Done');
+          
+        } catch (error) {
+          const reason = `Step ${step} (${describeAction(action)}) failed: ${error.message.split('\n')[0]}`;
+          console.warn(`⚠️ ${reason}`);
+          failedStep = step;
+          results.dynamicContent.push({ step, action, status: 'failed', duration: Date.now() - stepStart, error: reason });
+          progress.fail(stageId, reason);
+        }
+      }
+      
+      console.log(failedStep ? `⚠️ Dynamic content flow stopped at step ${failedStep}` : '✅ Dynamic content audit completed');
+    }
+    
+    // Re-run the page audits in every other requested viewport
+    if (extraViewports.length > 0) {
+      console.log(`🔍 Scanning ${extraViewports.length} more viewports: ${extraViewports.map(v => v.name).join(', ')}`);
+      const storageState = await context.storageState();
+      results.viewports = [{
+        viewport: results.viewport,
+        websiteStatus: results.websiteStatus,
+        accessibility: results.accessibility,
+        brandColorContrast: results.brandColorContrast
+      }];
+      
+      for (const viewport of extraViewports) {
+        const stageId = `viewport-${viewport.name}`;
+        progress.start(stageId);
+        const viewportResult = await scanViewport(browser, url, viewport, {
+          auth,
+          storageState,
+          audits,
+          brandColors: runsBrandColors ? brandColors : [],
+          axeConfiguration
+        });
+        results.viewports.push(viewportResult);
+        
+        if (viewportResult.error) {
+          progress.fail(stageId, viewportResult.error);
+        } else {
+          progress.done(stageId, `${viewportResult.accessibility?.violations.length ?? 0} violations found`);
+        }
+      }
+      
+      results.viewportComparison = compareViewports(results.viewports);
+    }
+    
+    // Run Lighthouse audits if requested and available
+    if (runsLighthouse) {
+      console.log(`🔍 Running Lighthouse audits`);
+      progress.start('lighthouse');
+      
+      try {
+        const wsEndpoint = browser.wsEndpoint();
+        const port = new URL(wsEndpoint).port;
+        const lighthouseAudits = audits.filter(a => LIGHTHOUSE_AUDITS.includes(a));
+        
+        const lhResult = await lighthouse.default(url, {
+          port,
+          output: 'json',
+          logLevel: 'error',
+          onlyCategories: lighthouseAudits,
+          disableStorageReset: true,
+          chromeFlags: ['--no-sandbox', '--disable-dev-shm-usage']
+        });
+        
+        if (audits.includes('performance') && lhResult.lhr.categories.performance) {
+          results.performance = {
+            score: lhResult.lhr.categories.performance.score,
+            metrics: {
+              'first-contentful-paint': lhResult.lhr.audits['first-contentful-paint']?.numericValue,
+              'largest-contentful-paint': lhResult.lhr.audits['largest-contentful-paint']?.numericValue,
+              'cumulative-layout-shift': lhResult.lhr.audits['cumulative-layout-shift']?.numericValue,
+              'total-blocking-time': lhResult.lhr.audits['total-blocking-time']?.numericValue
+            }
+          };
+        }
+        
+        if (audits.includes('seo') && lhResult.lhr.categories.seo) {
+          results.seo = {
+            score: lhResult.lhr.categories.seo.score,
+            issues: Object.values(lhResult.lhr.audits)
+              .filter(audit => audit.scoreDisplayMode === 'binary' && audit.score === 0)
+              .map(audit => ({
+                id: audit.id,
+                title: audit.title,
+                description: audit.description
+              }))
+          };
+        }
+        
+        if (audits.includes('best-practices') && lhResult.lhr.categories['best-practices']) {
+          results['best-practices'] = {
+            score: lhResult.lhr.categories['best-practices'].score,
+            issues: Object.values(lhResult.lhr.audits)
+              .filter(audit => audit.scoreDisplayMode === 'binary' && audit.score === 0)
+              .map(audit => ({
+                id: audit.id,
+                title: audit.title,
+                description: audit.description
+              }))
+          };
+        }
+        
+        if (audits.includes('pwa') && lhResult.lhr.categories.pwa) {
+          results.pwa = {
+            score: lhResult.lhr.categories.pwa.score,
+            installable: lhResult.lhr.audits['installable-manifest']?.score === 1,
+            hasServiceWorker: lhResult.lhr.audits['service-worker']?.score === 1
+          };
+        }
+        
+        console.log(`✅ Lighthouse audits completed`);
+        progress.done('lighthouse');
+        
+      } catch (error) {
+        console.error('❌ Lighthouse audit failed:', error.message);
+        progress.fail('lighthouse', error.message);
+        const failedAudits = audits.filter(a => LIGHTHOUSE_AUDITS.includes(a));
+        failedAudits.forEach(audit => {
+          results[audit] = { 
+            error: 'Lighthouse audit failed: ' + error.message,
+            score: null 
+          };
+        });
+      }
+    }
+    
+    // Audits catch their own errors, so a browser closed by its lifetime timer shows up here
+    if (browserPool.hasTimedOut(browser)) {
+      throw timeoutError();
+    }
+    
+    // Calculate total scan duration
+    results.scanDuration = Date.now() - startTime;
+    results.stages = progress.stages;
+    
+    await context.close();
+    context = null;
+    await browserPool.closeBrowser(browser);
+    browser = null;
+    
+    console.log(`✅ Scan completed for ${url} in ${results.scanDuration}ms`);
+    
+    return results;
+    
+  } catch (error) {
+    if (browser && browserPool.hasTimedOut(browser)) {
+      throw timeoutError();
+    }
+    throw error;
+  } finally {
+    // Cleanup browser and context if still exists
+    if (context) {
+      try {
+        await context.close();
+      } catch (e) {
+        console.warn('⚠️ Error closing context:', e.message);
+      }
+    }
+    if (browser) {
+      await browserPool.closeBrowser(browser);
+    }
+  }
+};
+
+// Unpack a zip archive in memory and return its files as { path, data }
+const extractZip = (buffer) => new Promise((resolve, reject) => {
+  yauzl.fromBuffer(buffer, { lazyEntries: true }, (error, zipfile) => {
+    if (error) {
+      return reject(new Error(`Invalid zip archive: ${error.message}`));
+    }
+    
+    const files = [];
+    let totalSize = 0;
+    const fail = (failure) => {
+      zipfile.close();
+      reject(new Error(`Invalid zip archive: ${failure.message}`));
+    };
+    
+    zipfile.on('error', error => reject(new Error(`Invalid zip archive: ${error.message}`)));
+    zipfile.on('end', () => resolve(files));
+    zipfile.on('entry', entry => {
+      // Directories are created on demand for the files inside them. Finder adds a
+      // __MACOSX/ tree and .DS_Store files, which would hide the archive's shared folder.
+      if (entry.fileName.endsWith('/') || /(^|\/)(__MACOSX\/|\.DS_Store$)/.test(entry.fileName)) {
+        return zipfile.readEntry();
+      }
+      
+      const relativePath = toContentPath(entry.fileName);
+      if (!relativePath) {
+        return fail(new Error(`unsafe path ${entry.fileName}`));
+      }
+      
+      totalSize += entry.uncompressedSize;
+      if (files.length >= CONFIG.MAX_CONTENT_FILES || totalSize > CONFIG.MAX_CONTENT_SIZE) {
+        return fail(new Error(`more than ${CONFIG.MAX_CONTENT_FILES} files or ${CONFIG.MAX_CONTENT_SIZE / 1024 / 1024}MB`));
+      }
+      
+      zipfile.openReadStream(entry, (streamError, stream) => {
+        if (streamError) {
+          return fail(streamError);
+        }
+        
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('error', fail);
+        stream.on('end', () => {
+          files.push({ path: relativePath, data: Buffer.concat(chunks) });
+          zipfile.readEntry();
+        });
+      });
+    });
+    
+    zipfile.readEntry();
+  });
+});
+
+// A folder upload (dist/...) or a zip of one folder puts every file under the same top-level
+// folder. Serve from inside it, so root-absolute links like /assets/app.css still resolve.
+const findSharedFolder = (files) => {
+  const [first] = files[0].path.split('/');
+  const shared = files.every(file => file.path.startsWith(`${first}/`));
+  return shared ? first : null;
+};
+
+const writeContentFiles = async (dir, files) => {
+  for (const file of files) {
+    const target = path.join(dir, file.path);
+    try {
+      await mkdir(path.dirname(target), { recursive: true });
+      await writeFile(target, file.data);
+    } catch (error) {
+      throw new Error(`Invalid content: could not write ${file.path}: ${error.message}`);
+    }
+  }
+};
+
+// Pick the page to open: the requested entry, else the shallowest index.html, else any HTML file
+const findContentEntry = (files, entry) => {
+  if (entry) {
+    const requested = toContentPath(entry);
+    return files.includes(requested) ? requested : null;
+  }
+  
+  const byDepth = (a, b) => a.split('/').length - b.split('/').length;
+  const indexPages = files.filter(file => /(^|\/)index\.html?$/i.test(file)).sort(byDepth);
+  return indexPages[0] || files.filter(file => /\.html?$/i.test(file)).sort(byDepth)[0] || null;
+};
+
+// Write uploaded content to a temporary directory and serve it on a random localhost port,
+// so relative links, stylesheets and scripts load the same way they would when deployed
+const hostContent = async (content) => {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'a11y-content-'));
+  
+  try {
+    let type;
+    let files = [];
+    
+    if (content.html !== undefined) {
+      type = 'html';
+      files = [{ path: 'index.html', data: content.html }];
+    } else if (content.files) {
+      type = 'files';
+      let totalSize = 0;
+      for (const file of content.files) {
+        const data = Buffer.from(file.content, file.encoding === 'base64' ? 'base64' : 'utf8');
+        totalSize += data.length;
+        if (totalSize > CONFIG.MAX_CONTENT_SIZE) {
+          throw new Error(`Invalid content: uploaded files exceed ${CONFIG.MAX_CONTENT_SIZE / 1024 / 1024}MB`);
+        }
+        files.push({ path: toContentPath(file.path), data });
+      }
+    } else {
+      type = 'zip';
+      files = await extractZip(Buffer.from(content.zip, 'base64'));
+    }
+    
+    // The entry may be given with or without the shared folder
+    let entryPath = content.entry && toContentPath(content.entry);
+    const folder = files.length > 0 ? findSharedFolder(files) : null;
+    if (folder) {
+      files = files.map(file => ({ ...file, path: file.path.slice(folder.length + 1) }));
+      if (entryPath?.startsWith(`${folder}/`)) {
+        entryPath = entryPath.slice(folder.length + 1);
+      }
+    }
+    await writeContentFiles(dir, files);
+    
+    const entry = findContentEntry(files.map(file => file.path), entryPath);
+    if (!entry) {
+      throw new Error(content.entry
+        ? `Invalid content: entry ${content.entry} was not uploaded`
+        : 'Invalid content: no HTML page found to scan');
+    }
+    
+    const contentApp = express();
+    contentApp.use(express.static(dir));
+    const contentServer = await new Promise((resolve, reject) => {
+      const listener = contentApp.listen(0, '127.0.0.1', () => resolve(listener));
+      listener.on('error', reject);
+    });
+    const { port } = contentServer.address();
+    
+    return {
+      url: `http://127.0.0.1:${port}/${entry.split('/').map(encodeURIComponent).join('/')}`,
+      source: { type, entry, files: files.length },
+      async close() {
+        // closeAllConnections needs Node 18.2+; older servers wait for keep-alive sockets to time out
+        contentServer.closeAllConnections?.();
+        await new Promise(resolve => contentServer.close(resolve));
+        await rm(dir, { recursive: true, force: true });
+      }
+    };
+    
+  } catch (error) {
+    await rm(dir, { recursive: true, force: true });
+    throw error;
+  }
+};
+
+// Scan uploaded content instead of a public URL. The temporary server only lives for the scan.
+const runContentScan = async ({ content, ...params }, onProgress = () => {}) => {
+  const hosted = await hostContent(content);
+  console.log(`📦 Serving uploaded ${hosted.source.type} content at ${hosted.url}`);
+  
+  try {
+    const results = await runScan({ ...params, url: hosted.url }, onProgress);
+    return { ...results, url: `upload://${hosted.source.entry}`, source: hosted.source };
+  } finally {
+    await hosted.close();
+    console.log(`🧹 Removed uploaded content for ${hosted.source.entry}`);
+  }
+};
+
+app.post('/api/scan', async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    // Input validation
+    if (req.body.content !== undefined) {
+      return res.status(400).json({ error: 'Use POST /api/scan/content to scan uploaded content' });
+    }
+    
+    const validation = validateScanRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    
+    console.log(`🔍 Starting scan for: ${req.body.url}`);
+    
+    const results = await runScan(req.body);
+    
+    // Send successful response
+    res.json(results);
+    
+  } catch (error) {
+    console.error(`❌ Scan failed for ${req.body.url || 'unknown URL'}:`, error.message);
+    
+    // Send appropriate error response
+    const { statusCode, errorMessage } = getScanErrorResponse(error);
+    
+    res.status(statusCode).json({ 
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: Date.now(),
+      scanDuration: Date.now() - startTime
+    });
+  }
+});
+
+app.post('/api/scan/content', async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    if (req.body.content === undefined) {
+      return res.status(400).json({ error: 'Content is required (html, files or zip)' });
+    }
+    
+    const validation = validateScanRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    
+    console.log('🔍 Starting scan for uploaded content');
+    
+    const results = await runContentScan(req.body);
+    
+    res.json(results);
+    
+  } catch (error) {
+    console.error('❌ Scan failed for uploaded content:', error.message);
+    
+    const { statusCode, errorMessage } = getScanErrorResponse(error);
+    
+    res.status(statusCode).json({ 
+      error: errorMessage,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+      timestamp: Date.now(),
+      scanDuration: Date.now() - startTime
+    });
+  }
+});
+
+// Scan job queue: scans run in the background and clients poll for the result
+const scanJobs = {
+  jobs: new Map(),
+  queue: [],
+  running: 0,
+  
+  // Why a new job can't be accepted right now, or null when it can
+  rejectReason() {
+    if (this.queue.length >= CONFIG.MAX_QUEUED_JOBS) {
+      return `Scan queue is full (${CONFIG.MAX_QUEUED_JOBS} jobs waiting)`;
+    }
+    if (this.jobs.size >= CONFIG.MAX_STORED_JOBS) {
+      return `Too many scan jobs in memory (${CONFIG.MAX_STORED_JOBS}); finished jobs expire after one hour`;
+    }
+    return null;
+  },
+  
+  // type is 'scan' (a URL or uploaded content) or 'crawl'
+  create(params, type = 'scan') {
+    const job = {
+      id: crypto.randomBytes(8).toString('base64url'),
+      type,
+      status: 'queued',
+      params,
+      createdAt: Date.now(),
+      timeout: type === 'crawl' ? CONFIG.CRAWL_TIMEOUT : getScanLifetime(params),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      events: [],
+      listeners: new Set()
+    };
+    
+    this.jobs.set(job.id, job);
+    this.queue.push(job);
+    console.log(`📥 ${type === 'crawl' ? 'Crawl' : 'Scan'} job ${job.id} queued for: ${params.url || 'uploaded content'}`);
+    
+    this.processQueue();
+    return job;
+  },
+  
+  processQueue() {
+    while (this.running < CONFIG.MAX_CONCURRENT_JOBS && this.queue.length > 0) {
+      this.run(this.queue.shift());
+    }
+  },
+  
+  // Record a progress event and push it to every connected event stream
+  emit(job, type, data) {
+    if (type !== 'end') {
+      job.events.push(data);
+    }
+    job.listeners.forEach(listener => listener(type, data));
+  },
+  
+  async run(job) {
+    this.running++;
+    job.status = 'running';
+    job.startedAt = Date.now();
+    job.events = [];
+    const kind = job.type === 'crawl' ? 'Crawl' : 'Scan';
+    console.log(`🔍 ${kind} job ${job.id} started`);
+    
+    // Passwords, HTTP credentials and cookies only live as long as the scan that uses them
+    const { auth, ...params } = job.params;
+    delete job.params.auth;
+    
+    try {
+      const scan = job.type === 'crawl' ? runCrawl : params.content ? runContentScan : runScan;
+      job.result = await scan({ ...params, auth }, event => this.emit(job, event.type, event));
+      job.status = 'done';
+      console.log(`✅ ${kind} job ${job.id} done`);
+    } catch (error) {
+      // Browsers are shared with synchronous scans - wait for a free slot instead of failing
+      if (error.message.includes('Maximum concurrent browsers')) {
+        console.warn(`⚠️ ${kind} job ${job.id} waiting for a free browser`);
+        job.status = 'queued';
+        job.startedAt = null;
+        if (auth !== undefined) job.params.auth = auth;
+        this.queue.unshift(job);
+        this.running--;
+        setTimeout(() => this.processQueue(), CONFIG.JOB_RETRY_DELAY);
+        return;
+      }
+      
+      const { statusCode, errorMessage } = getScanErrorResponse(error);
+      job.status = 'failed';
+      job.error = {
+        message: errorMessage,
+        statusCode,
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      };
+      console.error(`❌ ${kind} job ${job.id} failed:`, error.message);
+    }
+    
+    job.finishedAt = Date.now();
+    // Uploaded content can be megabytes of base64 - don't keep it around with the result
+    delete job.params.content;
+    this.emit(job, 'end', this.describe(job));
+    job.listeners.clear();
+    this.running--;
+    this.processQueue();
+  },
+  
+  // Public view of a job without its result payload
+  describe(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      url: job.params.url || 'uploaded content',
+      status: job.status,
+      queuePosition: job.status === 'queued' ? this.queue.indexOf(job) + 1 : null,
+      timeout: job.timeout,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      error: job.error
+    };
+  }
+};
+
+app.post('/api/scan/jobs', (req, res) => {
+  try {
+    const validation = validateScanRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    
+    const rejectReason = scanJobs.rejectReason();
+    if (rejectReason) {
+      return res.status(503).set('Retry-After', '60').json({ error: rejectReason, retryAfter: 60 });
+    }
+    
+    const { url, content, audits, brandColors, dynamicActions, auth, axeConfig, viewports, mediaVariants, targetSizeLevel } = req.body;
+    const job = scanJobs.create({ url, content, audits, brandColors, dynamicActions, auth, axeConfig, viewports, mediaVariants, targetSizeLevel });
+    
+    res.status(202).json({
+      ...scanJobs.describe(job),
+      statusUrl: `/api/scan/jobs/${job.id}`,
+      resultUrl: `/api/scan/jobs/${job.id}/result`
+    });
+    
+  } catch (error) {
+    console.error('❌ Error creating scan job:', error);
+    res.status(500).json({ error: 'Failed to create scan job' });
+  }
+});
+
+app.get('/api/scan/jobs/:id', (req, res) => {
+  const job = scanJobs.jobs.get(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ 
+      error: 'Scan job not found or expired',
+      message: 'Finished scan jobs are deleted after one hour'
+    });
+  }
+  
+  res.json(scanJobs.describe(job));
+});
+
+// Server-Sent Events stream of scan progress. Past events are replayed first,
+// so clients that connect late (or reconnect) still see the full history.
+app.get('/api/scan/jobs/:id/events', (req, res) => {
+  const job = scanJobs.jobs.get(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ 
+      error: 'Scan job not found or expired',
+      message: 'Finished scan jobs are deleted after one hour'
+    });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop proxies from buffering the stream
+  });
+  res.flushHeaders();
+  
+  const send = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  job.events.forEach(event => send(event.type, event));
+  
+  if (job.status === 'done' || job.status === 'failed') {
+    send('end', scanJobs.describe(job));
+    return res.end();
+  }
+  
+  const listener = (type, data) => {
+    send(type, data);
+    if (type === 'end') {
+      res.end();
+    }
+  };
+  job.listeners.add(listener);
+  
+  // Comment lines keep idle connections from being dropped
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    job.listeners.delete(listener);
+  });
+});
+
+app.get('/api/scan/jobs/:id/result', (req, res) => {
+  const job = scanJobs.jobs.get(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ 
+      error: 'Scan job not found or expired',
+      message: 'Finished scan jobs are deleted after one hour'
+    });
+  }
+  
+  if (job.status === 'failed') {
+    return res.status(job.error.statusCode).json({
+      error: job.error.message,
+      details: job.error.details,
+      timestamp: job.finishedAt,
+      scanDuration: job.finishedAt - job.startedAt
+    });
+  }
+  
+  if (job.status !== 'done') {
+    return res.status(409).json({ 
+      error: 'Scan job has not finished yet',
+      status: job.status
+    });
+  }
+  
+  res.json(job.result);
+});
+
+// Site crawl helpers
+const CRAWL_AUDITS = ['accessibility', 'brand-color-contrast'];
+const NON_HTML_EXTENSIONS = /\.(pdf|zip|gz|rar|7z|jpe?g|png|gif|svg|webp|ico|mp3|mp4|webm|mov|avi|css|js|json|xml|txt|docx?|xlsx?|pptx?)$/i;
+
+// "/blog/*" matches by wildcard, "/blog" matches the path and everything beneath it
+const pathPatternToRegExp = (pattern) => {
+  const trimmed = pattern.replace(/\/+$/, '');
+  const escaped = trimmed.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp('^' + escaped + (trimmed.includes('*') ? '$' : '(/.*)?$'));
+};
+
+// Resolve a link to a crawlable same-origin page URL, or null
+const normalizeCrawlUrl = (href, origin) => {
+  try {
+    const urlObj = new URL(href);
+    if (!['http:', 'https:'].includes(urlObj.protocol) || urlObj.origin !== origin) {
+      return null;
+    }
+    if (NON_HTML_EXTENSIONS.test(urlObj.pathname)) {
+      return null;
+    }
+    urlObj.hash = '';
+    return urlObj.toString();
+  } catch {
+    return null;
+  }
+};
+
+// Read page URLs from /sitemap.xml, following one level of sitemap index files
+const fetchSitemapUrls = async (context, origin, limit) => {
+  const urls = [];
+  const pending = [`${origin}/sitemap.xml`];
+  const fetched = new Set();
+  
+  while (pending.length > 0 && urls.length < limit && fetched.size < 5) {
+    const sitemapUrl = pending.shift();
+    fetched.add(sitemapUrl);
+    
+    try {
+      const response = await context.request.get(sitemapUrl, { timeout: 15000 });
+      if (!response.ok()) {
+        console.log(`ℹ️ No sitemap at ${sitemapUrl} (${response.status()})`);
+        continue;
+      }
+      
+      const xml = await response.text();
+      const locations = Array.from(xml.matchAll(/<loc>\s*([^<\s]+)\s*<\/loc>/gi), match => match[1]
+        .replace(/&amp;/g, '&')
+        .replace(/&apos;/g, "'")
+        .replace(/&quot;/g, '"')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>'));
+      
+      if (/<sitemapindex/i.test(xml)) {
+        locations
+          .filter(location => location.startsWith(origin) && !fetched.has(location))
+          .forEach(location => pending.push(location));
+      } else {
+        urls.push(...locations);
+      }
+    } catch (error) {
+      console.warn(`⚠️ Failed to read sitemap ${sitemapUrl}:`, error.message);
+    }
+  }
+  
+  return urls.slice(0, limit);
+};
+
+const summarizeCrawl = (pages) => {
+  const rules = new Map();
+  const violationsByImpact = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+  let totalViolations = 0;
+  let totalIncomplete = 0;
+  let brandColorIssues = 0;
+  
+  pages.forEach(pageResult => {
+    (pageResult.accessibility?.violations || []).forEach(violation => {
+      totalViolations++;
+      if (violation.impact in violationsByImpact) {
+        violationsByImpact[violation.impact]++;
+      }
+      
+      const rule = rules.get(violation.id) || {
+        id: violation.id,
+        help: violation.help,
+        impact: violation.impact,
+        helpUrl: violation.helpUrl,
+        pages: [],
+        nodes: 0
+      };
+      rule.pages.push(pageResult.url);
+      rule.nodes += violation.nodes?.length || 0;
+      rules.set(violation.id, rule);
+    });
+    
+    totalIncomplete += pageResult.accessibility?.incomplete?.length || 0;
+    
+    brandColorIssues += (pageResult.brandColorContrast || []).filter(issue => issue.type !== 'error').length;
+  });
+  
+  return {
+    pagesScanned: pages.filter(pageResult => !pageResult.error).length,
+    pagesFailed: pages.filter(pageResult => pageResult.error).length,
+    totalViolations,
+    totalIncomplete,
+    violationsByImpact,
+    brandColorIssues,
+    rules: Array.from(rules.values())
+      .sort((a, b) => b.pages.length - a.pages.length || b.nodes - a.nodes)
+  };
+};
+
+// Same checks as a scan request, plus the crawl-only options and audits
+const validateCrawlRequest = ({ url, audits = ['accessibility'], brandColors = [], maxPages = 10, maxDepth = 2, include = [], exclude = [], auth, axeConfig }) => {
+  const urlValidation = validateUrl(url);
+  if (!urlValidation.valid) {
+    return urlValidation;
+  }
+  
+  const auditsValidation = validateAudits(audits);
+  if (!auditsValidation.valid) {
+    return auditsValidation;
+  }
+  
+  const unsupportedAudits = audits.filter(audit => !CRAWL_AUDITS.includes(audit));
+  if (unsupportedAudits.length > 0) {
+    return { 
+      valid: false,
+      error: `Audits not supported in crawl mode: ${unsupportedAudits.join(', ')}. Supported: ${CRAWL_AUDITS.join(', ')}` 
+    };
+  }
+  
+  // An explicit null skips the [] default, so check the type before anything reads .length
+  const colorsValidation = validateBrandColors(brandColors);
+  if (!colorsValidation.valid) {
+    return colorsValidation;
+  }
+  
+  const crawlValidation = validateCrawlOptions({ maxPages, maxDepth, include, exclude });
+  if (!crawlValidation.valid) {
+    return crawlValidation;
+  }
+  
+  const authValidation = validateAuth(auth);
+  if (!authValidation.valid) {
+    return authValidation;
+  }
+  
+  const axeConfigValidation = validateAxeConfig(axeConfig);
+  if (!axeConfigValidation.valid) {
+    return axeConfigValidation;
   }
-});
+  
+  return { valid: true };
+};
 
-app.post('/api/scan', async (req, res) => {
+// Crawl same-origin pages from a starting URL and audit each one. Reports progress the
+// same way runScan does; a crawl that can't load any page throws like a failed scan.
+const runCrawl = async ({
+  url,
+  audits = ['accessibility'],
+  brandColors = [],
+  maxPages = 10,
+  maxDepth = 2,
+  include = [],
+  exclude = [],
+  useSitemap = true,
+  auth,
+  axeConfig
+}, onProgress = () => {}) => {
   const startTime = Date.now();
   let browser = null;
   let context = null;
   
+  const progress = createScanProgress([
+    { stage: 'browser', label: 'Starting browser' },
+    ...(auth?.loginSteps?.length ? [{ stage: 'login', label: 'Running login steps' }] : []),
+    { stage: 'crawl', label: `Crawling up to ${maxPages} pages` }
+  ], onProgress);
+  
   try {
-    // Input validation
-    const { url, audits = ['accessibility'], brandColors = [], dynamicActions = [] } = req.body;
-    
-    console.log(`🔍 Starting scan for: ${url}`);
-    
-    // Validate URL
-    const urlValidation = validateUrl(url);
-    if (!urlValidation.valid) {
-      return res.status(400).json({ error: urlValidation.error });
-    }
-    
-    // Validate audits
-    const auditsValidation = validateAudits(audits);
-    if (!auditsValidation.valid) {
-      return res.status(400).json({ error: auditsValidation.error });
-    }
+    const axeConfiguration = buildAxeConfiguration(axeConfig);
     
-    // Validate brand colors if provided
-    if (brandColors.length > 0) {
-      const colorsValidation = validateBrandColors(brandColors);
-      if (!colorsValidation.valid) {
-        return res.status(400).json({ error: colorsValidation.error });
-      }
-    }
-    
-    // Validate dynamic actions
-    if (dynamicActions.length > 10) {
-      return res.status(400).json({ 
-        error: 'Too many dynamic actions. Maximum 10 allowed.' 
-      });
-    }
+    const startUrl = new URL(url);
+    startUrl.hash = '';
+    // Replaced by the origin the starting page lands on after redirects (www, https)
+    let origin = startUrl.origin;
+    const includePatterns = include.map(pathPatternToRegExp);
+    const excludePatterns = exclude.map(pathPatternToRegExp);
     
-    // Initialize results object early
-    const results = {
-      url,
-      timestamp: Date.now(),
-      auditsRequested: audits
+    const isPathAllowed = (pageUrl) => {
+      const { pathname } = new URL(pageUrl);
+      return (includePatterns.length === 0 || includePatterns.some(pattern => pattern.test(pathname))) &&
+        !excludePatterns.some(pattern => pattern.test(pathname));
     };
     
-    // Create browser instance
-    browser = await browserPool.createBrowser();
-    const context = await browser.newContext({
-      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      viewport: { width: 1920, height: 1080 },
-      // Enhanced timeout settings
-      timeout: CONFIG.NAVIGATION_TIMEOUT,
-      navigationTimeout: CONFIG.PAGE_LOAD_TIMEOUT,
-      // Disable images and fonts for faster loading (optional)
-      ignoreHTTPSErrors: true, // Handle sites with SSL issues
-      // Set reasonable resource limits
-      extraHTTPHeaders: {
-        'Accept-Language': 'en-US,en;q=0.9'
-      }
-    });
-    const page = await context.newPage();
-    
-    // Set page-specific timeouts
-    page.setDefaultTimeout(CONFIG.NAVIGATION_TIMEOUT);
-    page.setDefaultNavigationTimeout(CONFIG.PAGE_LOAD_TIMEOUT);
+    // Breadth-first queue; the starting page is always scanned
+    const queue = [{ url: startUrl.toString(), depth: 0 }];
+    const discovered = new Set([startUrl.toString()]);
+    const enqueue = (pageUrl, depth) => {
+      if (depth > maxDepth || discovered.has(pageUrl) || !isPathAllowed(pageUrl)) return;
+      discovered.add(pageUrl);
+      queue.push({ url: pageUrl, depth });
+    };
     
-    // Navigate with timeout and error handling - enhanced with fallback strategies
+    const deadline = Date.now() + CONFIG.CRAWL_TIMEOUT;
+    progress.start('browser');
     try {
-      console.log(`🌐 Attempting to load: ${url}`);
-      
-      // First attempt: Try with networkidle (most reliable)
-      try {
-        await page.goto(url, { 
-          waitUntil: 'networkidle',
-          timeout: 45000 // Increased from 30s to 45s
-        });
-        console.log(`✅ Page loaded successfully with networkidle`);
-      } catch (networkIdleError) {
-        console.log(`⚠️ NetworkIdle failed, trying domcontentloaded...`);
-        
-        // Second attempt: Try with domcontentloaded (faster)
-        try {
-          await page.goto(url, { 
-            waitUntil: 'domcontentloaded',
-            timeout: 30000
-          });
-          console.log(`✅ Page loaded successfully with domcontentloaded`);
-        } catch (domContentError) {
-          console.log(`⚠️ DOMContentLoaded failed, trying load event...`);
-          
-          // Third attempt: Try with basic load event
-          await page.goto(url, { 
-            waitUntil: 'load',
-            timeout: 20000
-          });
-          console.log(`✅ Page loaded successfully with load event`);
-        }
-      }
-      
-      // Additional wait for any remaining dynamic content
-      await page.waitForTimeout(2000);
-      
+      browser = await browserPool.createBrowser(CONFIG.CRAWL_TIMEOUT);
+      context = await createScanContext(browser, url, auth);
+      progress.done('browser');
     } catch (error) {
-      if (error.message.includes('timeout') || error.message.includes('Timeout')) {
-        throw new Error(`Website "${url}" took too long to load (tried multiple loading strategies). The site may be slow or having issues. Please try again later.`);
-      } else if (error.message.includes('net::ERR_NAME_NOT_RESOLVED')) {
-        throw new Error(`Website "${url}" not found. Please check the URL and try again.`);
-      } else if (error.message.includes('net::ERR_CONNECTION_REFUSED')) {
-        throw new Error(`Connection to "${url}" was refused. The website may be down or blocking automated access.`);
-      } else if (error.message.includes('net::ERR_CERT_')) {
-        throw new Error(`SSL certificate error for "${url}". The website may have security issues.`);
-      } else if (error.message.includes('net::ERR_TOO_MANY_REDIRECTS')) {
-        throw new Error(`Too many redirects when accessing "${url}". The website configuration may have issues.`);
-      } else {
-        throw new Error(`Failed to load website "${url}": ${error.message}`);
-      }
-    }
-    
-    // Wait for page to be fully loaded and check if it's actually accessible
-    try {
-      await page.waitForLoadState('domcontentloaded', { timeout: 10000 });
-      
-      // Check if the page actually loaded content or has errors
-      const pageAnalysis = await page.evaluate(() => {
-        const bodyText = document.body ? document.body.innerText.trim() : '';
-        const title = document.title || '';
-        
-        // Check for common error indicators
-        const errorIndicators = [
-          'error', 'exception', 'mysql', 'database', 'connection failed',
-          'internal server error', '500', '404', 'not found',
-          'application error', 'could not connect', 'database error'
-        ];
-        
-        const hasError = errorIndicators.some(indicator => 
-          bodyText.toLowerCase().includes(indicator.toLowerCase()) ||
-          title.toLowerCase().includes(indicator.toLowerCase())
-        );
-        
-        return {
-          title,
-          bodyLength: bodyText.length,
-          hasContent: bodyText.length > 10,
-          hasError,
-          errorType: hasError ? 'Website appears to have backend/database issues' : null,
-          preview: bodyText.substring(0, 200)
-        };
-      });
-      
-      if (pageAnalysis.hasError) {
-        console.warn(`⚠️ Website appears to have backend issues: ${pageAnalysis.errorType}`);
-        console.warn(`📄 Page content preview: "${pageAnalysis.preview}"`);
-        
-        // Still proceed with scan - we can analyze the error page for accessibility
-        console.log(`🔍 Proceeding with accessibility scan of error page content`);
-      } else if (!pageAnalysis.hasContent) {
-        console.warn(`⚠️ Page appears to have loaded but contains minimal content`);
-      } else {
-        console.log(`📄 Page loaded successfully: "${pageAnalysis.title}" (${pageAnalysis.bodyLength} characters)`);
-      }
-      
-      // Add website status to results
-      results.websiteStatus = {
-        loaded: true,
-        title: pageAnalysis.title,
-        contentLength: pageAnalysis.bodyLength,
-        hasError: pageAnalysis.hasError,
-        errorType: pageAnalysis.errorType,
-        note: pageAnalysis.hasError ? 
-          'Website has backend issues, but accessibility scan was performed on available content' : 
-          'Website loaded successfully'
-      };
-      
-    } catch (loadStateError) {
-      console.warn(`⚠️ Load state check failed, continuing anyway:`, loadStateError.message);
-      results.websiteStatus = {
-        loaded: false,
-        error: 'Could not verify page load state',
-        note: 'Accessibility scan attempted despite load issues'
-      };
+      progress.fail('browser', error.message);
+      throw error;
     }
     
-    // Update results with additional scan information
-    results.audits = audits;
-    results.scanDuration = null; // Will be set at the end
-    
-    // Run accessibility audit
-    if (audits.includes('accessibility')) {
-      console.log(`🔍 Running accessibility audit for: ${url}`);
+    // Log in once; every crawled page shares the context's session
+    if (auth?.loginSteps?.length) {
+      progress.start('login');
+      const loginPage = await context.newPage();
       try {
-        await page.addScriptTag({ content: axeSource });
-        const accessibilityResult = await page.evaluate(async () => {
-          return await window.axe.run(document, {
-            runOnly: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'],
-            resultTypes: ['violations']
-          });
-        });
-        
-        results.accessibility = accessibilityResult;
-        
-        // Add context for error pages
-        if (results.websiteStatus?.hasError) {
-          results.accessibility.note = 'Accessibility audit performed on error page content. Results may not represent the actual website functionality.';
-          results.accessibility.recommendation = 'Fix the website backend issues first, then re-run accessibility scan on the working website.';
-        }
-        
-        console.log(`✅ Accessibility audit completed: ${results.accessibility.violations?.length || 0} violations found`);
-        
-        if (results.websiteStatus?.hasError) {
-          console.log(`ℹ️ Note: Scan performed on error page due to website backend issues`);
-        }
-        
+        await runLoginSteps(loginPage, auth.loginSteps, message => progress.log('login', message));
+        progress.done('login');
       } catch (error) {
-        console.error('❌ Accessibility audit failed:', error.message);
-        results.accessibility = { 
-          error: 'Failed to run accessibility audit: ' + error.message,
-          violations: []
-        };
+        progress.fail('login', error.message);
+        throw error;
+      } finally {
+        await loginPage.close().catch(() => {});
       }
     }
     
-    // Run dynamic content audit
-    if (audits.includes('dynamic-content') && Array.isArray(dynamicActions) && dynamicActions.length > 0) {
-      console.log(`🔍 Running dynamic content audit with ${dynamicActions.length} actions`);
-      results.dynamicContent = [];
-      
-      for (let i = 0; i < dynamicActions.length; i++) {
-        const action = dynamicActions[i];
-        
-        try {
-          // Validate action structure
-          if (!action.type || !action.selector) {
-            results.dynamicContent.push({ 
-              action, 
-              error: 'Invalid action: missing type or selector' 
-            });
-            continue;
-          }
-          
-          console.log(`🔍 Executing action ${i + 1}: ${action.type} on ${action.selector}`);
-          
-          // Execute the action
-          switch (action.type) {
-            case 'click':
-              await page.click(action.selector, { timeout: 5000 });
-              break;
-            case 'focus':
-              await page.focus(action.selector, { timeout: 5000 });
-              break;
-            case 'type':
-              if (!action.value) {
-                throw new Error('Type action requires a value');
-              }
-              await page.type(action.selector, action.value, { timeout: 5000 });
-              break;
-            case 'hover':
-              await page.hover(action.selector, { timeout: 5000 });
-              break;
-            default:
-              throw new Error(`Unsupported action type: ${action.type}`);
-          }
-          
-          // Wait for potential DOM updates
-          await page.waitForTimeout(1000);
-          
-          // Run axe-core after action
-          await page.addScriptTag({ content: axeSource });
-          const issues = await page.evaluate(async () => {
-            return await window.axe.run(document, {
-              runOnly: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa'],
-              resultTypes: ['violations']
-            });
-          });
-          
-          results.dynamicContent.push({ action, issues });
-          
-        } catch (error) {
-          console.warn(`⚠️ Action ${i + 1} failed:`, error.message);
-          results.dynamicContent.push({ 
-            action, 
-            error: error.message 
-          });
-        }
+    // Sitemap entries count as one link away from the starting page. The sitemap is read
+    // once the starting page has loaded, from the origin it ended up on.
+    let sitemapUrls = [];
+    const readSitemap = async () => {
+      sitemapUrls = await fetchSitemapUrls(context, origin, CONFIG.CRAWL_MAX_PAGES);
+      sitemapUrls
+        .map(location => normalizeCrawlUrl(location, origin))
+        .filter(Boolean)
+        .forEach(pageUrl => enqueue(pageUrl, 1));
+      console.log(`🗺️ Sitemap provided ${sitemapUrls.length} URLs`);
+    };
+    
+    const pages = [];
+    let timeLimitReached = false;
+    progress.start('crawl');
+    while (queue.length > 0 && pages.length < maxPages) {
+      // Stop while the browser is still alive and report the pages scanned so far
+      if (Date.now() + CONFIG.CRAWL_PAGE_BUDGET > deadline || browserPool.hasTimedOut(browser)) {
+        timeLimitReached = true;
+        console.warn(`⚠️ Crawl time limit reached after ${pages.length} pages`);
+        break;
       }
       
-      console.log(`✅ Dynamic content audit completed`);
-    }
-    
-    // Run brand color contrast audit
-    if (audits.includes('brand-color-contrast') && Array.isArray(brandColors) && brandColors.length > 0) {
-      console.log(`🔍 Running brand color contrast audit with ${brandColors.length} colors`);
+      const { url: pageUrl, depth } = queue.shift();
+      const pageStartTime = Date.now();
+      let page = null;
       
-      try {
-        results.brandColorContrast = await page.evaluate((brandColors) => {
-          // Helper functions for color analysis
-          function rgbToHex(rgb) {
-            if (!rgb) return null;
-            const result = rgb.match(/\d+/g);
-            if (!result || result.length < 3) return null;
-            return '#' + result
-              .slice(0, 3)
-              .map(x => ('0' + parseInt(x).toString(16)).slice(-2))
-              .join('');
-          }
-          
-          function luminance(r, g, b) {
-            const a = [r, g, b].map(function (v) {
-              v /= 255;
-              return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
-            });
-            return a[0] * 0.2126 + a[1] * 0.7152 + a[2] * 0.0722;
-          }
-          
-          function contrast(rgb1, rgb2) {
-            try {
-              const c1 = rgb1.match(/\d+/g).map(Number);
-              const c2 = rgb2.match(/\d+/g).map(Number);
-              if (c1.length < 3 || c2.length < 3) return 1;
-              const l1 = luminance(...c1);
-              const l2 = luminance(...c2);
-              return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
-            } catch {
-              return 1;
-            }
-          }
-          
-          // Collect all visible elements and their colors
-          const all = Array.from(document.querySelectorAll('*')).filter(el => {
-            const rect = el.getBoundingClientRect();
-            return rect.width > 0 && rect.height > 0;
-          });
-          
-          const issues = [];
-          const isInteractive = el => 
-            ['A','BUTTON','INPUT','SELECT','TEXTAREA'].includes(el.tagName) || 
-            el.tabIndex >= 0 || 
-            el.hasAttribute('onclick') ||
-            el.getAttribute('role') === 'button';
-          
-          // Analyze each element
-          all.forEach(el => {
-            try {
-              const style = window.getComputedStyle(el);
-              const color = style.color;
-              const bg = style.backgroundColor;
-              const colorHex = rgbToHex(color);
-              const bgHex = rgbToHex(bg);
-              
-              // Check brand color contrast issues
-              if ((brandColors.includes(colorHex) || brandColors.includes(bgHex)) && color && bg) {
-                const contrastRatio = contrast(color, bg);
-                const minContrast = isInteractive(el) ? 3.0 : 4.5; // WCAG AA standards
-                
-                if (contrastRatio < minContrast) {
-                  issues.push({
-                    type: 'contrast',
-                    element: el.tagName.toLowerCase() + (el.className ? '.' + Array.from(el.classList).join('.') : ''),
-                    selector: el.tagName.toLowerCase() + (el.id ? '#' + el.id : ''),
-                    color: colorHex,
-                    background: bgHex,
-                    contrast: Math.round(contrastRatio * 100) / 100,
-                    required: minContrast,
-                    message: `Low contrast (${Math.round(contrastRatio * 100) / 100}:1) for brand color. Requires ${minContrast}:1 minimum.`,
-                    isInteractive: isInteractive(el)
-                  });
-                }
-              }
-            } catch (e) {
-              // Skip elements that cause errors
-            }
-          });
-          
-          // Check brand color usage patterns
-          brandColors.forEach(brand => {
-            let usedInteractive = false, usedNonInteractive = false;
-            
-            all.forEach(el => {
-              try {
-                const style = window.getComputedStyle(el);
-                const colorHex = rgbToHex(style.color);
-                const bgHex = rgbToHex(style.backgroundColor);
-                
-                if (colorHex === brand || bgHex === brand) {
-                  if (isInteractive(el)) {
-                    usedInteractive = true;
-                  } else {
-                    usedNonInteractive = true;
-                  }
-                }
-              } catch (e) {
-                // Skip elements that cause errors
-              }
-            });
-            
-            if (usedInteractive && usedNonInteractive) {
-              issues.push({
-                type: 'usage',
-                brand,
-                message: `Brand color ${brand} used for both interactive and non-interactive elements. Consider using different shades or additional visual cues.`
-              });
-            }
-          });
-          
-          return issues;
-        }, brandColors);
-        
-        console.log(`✅ Brand color audit completed: ${results.brandColorContrast?.length || 0} issues found`);
-        
-      } catch (error) {
-        console.error('❌ Brand color audit failed:', error.message);
-        results.brandColorContrast = [{
-          type: 'error',
-          message: 'Failed to analyze brand colors: ' + error.message
-        }];
-      }
-    }
-    
-    // Run Lighthouse audits if requested and available
-    if (lighthouse && (audits.includes('performance') || audits.includes('seo') || audits.includes('best-practices') || audits.includes('pwa'))) {
-      console.log(`🔍 Running Lighthouse audits`);
+      console.log(`🕸️ Crawling page ${pages.length + 1}/${maxPages} (depth ${depth}): ${pageUrl}`);
+      progress.log('crawl', `Page ${pages.length + 1}/${maxPages}: ${pageUrl}`);
       
       try {
-        const wsEndpoint = browser.wsEndpoint();
-        const port = new URL(wsEndpoint).port;
-        const lighthouseAudits = audits.filter(a => ['performance','seo','best-practices','pwa'].includes(a));
-        
-        const lhResult = await lighthouse.default(url, {
-          port,
-          output: 'json',
-          logLevel: 'error',
-          onlyCategories: lighthouseAudits,
-          disableStorageReset: true,
-          chromeFlags: ['--no-sandbox', '--disable-dev-shm-usage']
-        });
+        page = await context.newPage();
+        page.setDefaultTimeout(CONFIG.NAVIGATION_TIMEOUT);
+        page.setDefaultNavigationTimeout(CONFIG.PAGE_LOAD_TIMEOUT);
+        await navigateWithFallback(page, pageUrl);
         
-        if (audits.includes('performance') && lhResult.lhr.categories.performance) {
-          results.performance = {
-            score: lhResult.lhr.categories.performance.score,
-            metrics: {
-              'first-contentful-paint': lhResult.lhr.audits['first-contentful-paint']?.numericValue,
-              'largest-contentful-paint': lhResult.lhr.audits['largest-contentful-paint']?.numericValue,
-              'cumulative-layout-shift': lhResult.lhr.audits['cumulative-layout-shift']?.numericValue,
-              'total-blocking-time': lhResult.lhr.audits['total-blocking-time']?.numericValue
-            }
-          };
+        if (depth === 0) {
+          const landedUrl = normalizeCrawlUrl(page.url(), new URL(page.url()).origin);
+          if (landedUrl) {
+            origin = new URL(landedUrl).origin;
+            discovered.add(landedUrl);
+          }
         }
         
-        if (audits.includes('seo') && lhResult.lhr.categories.seo) {
-          results.seo = {
-            score: lhResult.lhr.categories.seo.score,
-            issues: Object.values(lhResult.lhr.audits)
-              .filter(audit => audit.scoreDisplayMode === 'binary' && audit.score === 0)
-              .map(audit => ({
-                id: audit.id,
-                title: audit.title,
-                description: audit.description
-              }))
-          };
+        const pageResult = { url: pageUrl, depth };
+        pageResult.websiteStatus = await getWebsiteStatus(page);
+        
+        if (audits.includes('accessibility')) {
+          pageResult.accessibility = await runAccessibilityAudit(page, pageResult.websiteStatus, axeConfiguration);
         }
         
-        if (audits.includes('best-practices') && lhResult.lhr.categories['best-practices']) {
-          results['best-practices'] = {
-            score: lhResult.lhr.categories['best-practices'].score,
-            issues: Object.values(lhResult.lhr.audits)
-              .filter(audit => audit.scoreDisplayMode === 'binary' && audit.score === 0)
-              .map(audit => ({
-                id: audit.id,
-                title: audit.title,
-                description: audit.description
-              }))
-          };
+        if (audits.includes('brand-color-contrast') && brandColors.length > 0) {
+          pageResult.brandColorContrast = await runBrandColorAudit(page, brandColors);
         }
         
-        if (audits.includes('pwa') && lhResult.lhr.categories.pwa) {
-          results.pwa = {
-            score: lhResult.lhr.categories.pwa.score,
-            installable: lhResult.lhr.audits['installable-manifest']?.score === 1,
-            hasServiceWorker: lhResult.lhr.audits['service-worker']?.score === 1
-          };
+        if (depth < maxDepth) {
+          const links = await page.evaluate(() => 
+            Array.from(document.querySelectorAll('a[href]'), anchor => anchor.href)
+          );
+          links
+            .map(link => normalizeCrawlUrl(link, origin))
+            .filter(Boolean)
+            .forEach(link => enqueue(link, depth + 1));
         }
         
-        console.log(`✅ Lighthouse audits completed`);
+        pageResult.scanDuration = Date.now() - pageStartTime;
+        pages.push(pageResult);
         
       } catch (error) {
-        console.error('❌ Lighthouse audit failed:', error.message);
-        const failedAudits = audits.filter(a => ['performance','seo','best-practices','pwa'].includes(a));
-        failedAudits.forEach(audit => {
-          results[audit] = { 
-            error: 'Lighthouse audit failed: ' + error.message,
-            score: null 
-          };
+        console.warn(`⚠️ Crawl failed for ${pageUrl}:`, error.message);
+        pages.push({ 
+          url: pageUrl, 
+          depth, 
+          error: error.message,
+          scanDuration: Date.now() - pageStartTime
         });
+      } finally {
+        await page?.close().catch(() => {});
+      }
+      
+      if (depth === 0 && useSitemap && !browserPool.hasTimedOut(browser)) {
+        await readSitemap();
       }
     }
     
-    // Calculate total scan duration
-    results.scanDuration = Date.now() - startTime;
+    progress.done('crawl', `${pages.length} pages scanned${timeLimitReached ? ', stopped at the time limit' : ''}`);
     
-    await context.close();
+    let authentication;
+    if (auth) {
+      authentication = describeAuth(auth);
+      if (auth.saveStorageState && !browserPool.hasTimedOut(browser)) {
+        authentication.savedStorageStateId = await saveStorageState(context).catch(error => {
+          console.warn('⚠️ Could not save crawl session:', error.message);
+          return null;
+        });
+      }
+    }
+    
+    await context.close().catch(() => {});
+    context = null;
     await browserPool.closeBrowser(browser);
     browser = null;
     
-    console.log(`✅ Scan completed for ${url} in ${results.scanDuration}ms`);
+    // Nothing could be loaded at all - report it like a failed single scan
+    if (pages.every(pageResult => pageResult.error)) {
+      throw new Error(pages[0].error);
+    }
     
-    // Send successful response
-    res.json(results);
+    const results = {
+      url,
+      timestamp: Date.now(),
+      auditsRequested: audits,
+      axeConfiguration: audits.includes('accessibility') ? axeConfiguration : undefined,
+      authentication,
+      crawl: {
+        maxPages,
+        maxDepth,
+        include,
+        exclude,
+        useSitemap,
+        sitemapUrls: sitemapUrls.length,
+        pagesDiscovered: discovered.size,
+        timeLimitReached
+      },
+      summary: summarizeCrawl(pages),
+      pages,
+      scanDuration: Date.now() - startTime,
+      stages: progress.stages
+    };
     
-  } catch (error) {
-    console.error(`❌ Scan failed for ${req.body.url || 'unknown URL'}:`, error.message);
+    console.log(`✅ Crawl completed for ${url}: ${pages.length} pages in ${results.scanDuration}ms`);
+    return results;
     
-    // Cleanup browser and context if still exists
+  } finally {
     if (context) {
       try {
         await context.close();
@@ -881,28 +4826,56 @@ app.post('/api/scan', async (req, res) => {
     if (browser) {
       await browserPool.closeBrowser(browser);
     }
+  }
+};
+
+// Crawls can take up to CRAWL_TIMEOUT, so the job route is preferred over the one that
+// holds the request open
+app.post('/api/crawl/jobs', (req, res) => {
+  try {
+    const validation = validateCrawlRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
     
-    // Send appropriate error response
-    let statusCode = 500;
-    let errorMessage = 'Internal server error during scan';
+    const rejectReason = scanJobs.rejectReason();
+    if (rejectReason) {
+      return res.status(503).set('Retry-After', '60').json({ error: rejectReason, retryAfter: 60 });
+    }
     
-    if (error.message.includes('timeout') || error.message.includes('took too long')) {
-      statusCode = 408;
-      errorMessage = 'Website took too long to respond. Please try again.';
-    } else if (error.message.includes('not found') || error.message.includes('ERR_NAME_NOT_RESOLVED')) {
-      statusCode = 404;
-      errorMessage = 'Website not found. Please check the URL.';
-    } else if (error.message.includes('refused') || error.message.includes('ERR_CONNECTION_REFUSED')) {
-      statusCode = 503;
-      errorMessage = 'Website is not accessible. It may be down or blocking automated requests.';
-    } else if (error.message.includes('Maximum concurrent browsers')) {
-      statusCode = 503;
-      errorMessage = 'Server is busy. Please try again in a few moments.';
-    } else if (error.message.includes('Invalid')) {
-      statusCode = 400;
-      errorMessage = error.message;
+    const { url, audits, brandColors, maxPages, maxDepth, include, exclude, useSitemap, auth, axeConfig } = req.body;
+    const job = scanJobs.create({ url, audits, brandColors, maxPages, maxDepth, include, exclude, useSitemap, auth, axeConfig }, 'crawl');
+    
+    res.status(202).json({
+      ...scanJobs.describe(job),
+      statusUrl: `/api/scan/jobs/${job.id}`,
+      resultUrl: `/api/scan/jobs/${job.id}/result`
+    });
+    
+  } catch (error) {
+    console.error('❌ Error creating crawl job:', error);
+    res.status(500).json({ error: 'Failed to create crawl job' });
+  }
+});
+
+app.post('/api/crawl', async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    const validation = validateCrawlRequest(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
     }
     
+    console.log(`🕸️ Starting crawl from: ${req.body.url}`);
+    const results = await runCrawl(req.body);
+    res.json(results);
+    
+  } catch (error) {
+    console.error(`❌ Crawl failed for ${req.body.url || 'unknown URL'}:`, error.message);
+    
+    const { statusCode, errorMessage } = getScanErrorResponse(error);
+    
     res.status(statusCode).json({ 
       error: errorMessage,
       details: process.env.NODE_ENV === 'development' ? error.message : undefined,
@@ -1329,6 +5302,10 @@ app.get('/health', (req, res) => {
       axeCore: !!axeSource
     },
     activeBrowsers: browserPool.browsers.size,
+    scanJobs: {
+      queued: scanJobs.queue.length,
+      running: scanJobs.running
+    },
     reportsInMemory: reports.size
   };
   
@@ -1343,9 +5320,20 @@ app.get('/api', (req, res) => {
     description: 'Comprehensive web accessibility analysis with AI-powered suggestions',
     endpoints: {
       'POST /api/scan': 'Run accessibility, performance, and other audits on a website',
+      'POST /api/scan/content': 'Scan uploaded HTML, files or a zipped static build without a public URL',
+      'POST /api/scan/jobs': 'Queue a scan in the background and get a job ID',
+      'GET /api/scan/jobs/:id': 'Get the status of a scan job (queued, running, done, failed)',
+      'GET /api/scan/jobs/:id/events': 'Stream scan progress as Server-Sent Events',
+      'GET /api/scan/jobs/:id/result': 'Get the result of a finished scan job',
+      'POST /api/crawl': 'Crawl same-origin pages from a URL and audit each one',
+      'POST /api/crawl/jobs': 'Queue a crawl in the background; follow it with the scan job routes',
       'POST /api/check-website': 'Quick check if a website is accessible and working',
+      'POST /api/palette/contrast': 'Contrast matrix for a list of colors or a design-tokens file',
       'POST /api/report': 'Save a report and get a shareable ID',
       'GET /api/report/:id': 'Retrieve a saved report by ID',
+      'POST /api/storage-state': 'Upload a Playwright storage state for authenticated scans',
+      'DELETE /api/storage-state/:id': 'Delete a saved storage state',
+      'GET /api/screenshots/:id': 'Get a screenshot captured during a scan',
       'POST /api/gemini-suggestion': 'Get AI-powered accessibility suggestions',
       'GET /api/test-browser': 'Test browser functionality (for debugging)',
       'GET /health': 'Server health and status information',
@@ -1390,9 +5378,20 @@ app.use('*', (req, res) => {
       'GET /health',
       'GET /api/test-browser',
       'POST /api/scan',
+      'POST /api/scan/content',
+      'POST /api/scan/jobs',
+      'GET /api/scan/jobs/:id',
+      'GET /api/scan/jobs/:id/events',
+      'GET /api/scan/jobs/:id/result',
+      'POST /api/crawl',
+      'POST /api/crawl/jobs',
       'POST /api/check-website',
+      'POST /api/palette/contrast',
       'POST /api/report',
       'GET /api/report/:id',
+      'POST /api/storage-state',
+      'DELETE /api/storage-state/:id',
+      'GET /api/screenshots/:id',
       'POST /api/gemini-suggestion'
     ],
     timestamp: Date.now()